@@ -0,0 +1,1840 @@
+// EasySystem bot-adapter core.
+// Shared plumbing for every EasySystem bot: shared-kit wiring, HTTP client,
+// circuit-breaker/logging wrappers, transfer handling and the common
+// on_user_message / on_bot_message relay. A bot file only declares its
+// business unit, route table and integrations on top of this.
+
+const { getBotConfig, getBotUrls } = require("../lib/config");
+const platformSdk = require("../lib/sdk");
+const { kit, createHealthMonitor } = require("./shared-kit");
+const {
+  ACK_MODES,
+  CONTEXT_MODES,
+  DELIVERY_MODES,
+  allowsBusinessUnit,
+  resolveSlots,
+} = require("./route-registry");
+const { loadPromptTemplates, DEFAULT_TEMPLATES_FILE } = require("./prompt-templates");
+const { createSlotValidator, REPROMPT_TEMPLATES } = require("./slot-validation");
+const { STATES, createOwnershipMachine } = require("./ownership");
+const { createResponseNormalizer } = require("./es-response");
+const { createContentRenderer } = require("./content-renderer");
+const { createSaveOutbox } = require("./save-outbox");
+const { createServiceBreakers } = require("./service-breakers");
+const { IDEMPOTENCY_HEADER, idempotencyKey, createHttpClient } = require("./http-client");
+const { createTurnDeadlines } = require("./turn-deadline");
+const {
+  DEFAULT_MESSAGES_FILE,
+  TRANSFER_REASONS,
+  isTransferReason,
+  loadTransferMessages,
+} = require("./transfer-messages");
+const { createHandoffBuilder } = require("./handoff");
+const { NOT_CONFIGURED, createSessionAuth } = require("./session-auth");
+const { createResponseGuard } = require("./response-guard");
+const { createAuthorizer, DECISIONS, DENIAL_MODES } = require("./authorization");
+const {
+  ANSWERS: CONFIRM_ANSWERS,
+  OUTCOMES: CONFIRM_OUTCOMES,
+  payloadFor: confirmPayload,
+  createConfirmations,
+} = require("./confirmation");
+const {
+  OUTCOMES: STEP_UP_OUTCOMES,
+  createStepUp,
+  looksLikeCode,
+  providerFromConfig,
+} = require("./step-up");
+const {
+  STATUSES: TRANSFER_STATUSES,
+  ALTERNATIVES: TRANSFER_ALTERNATIVES,
+  describeOpening,
+  createTransferPolicy,
+} = require("./transfer-policy");
+
+let logger;
+try {
+  logger = require("../lib/logger");
+} catch (e) {
+  logger = console;
+}
+
+const DEFAULT_TRANSFER_MESSAGE =
+  "Sorry, unfortunately I'm not able to help you with that. Transferring you to a Staples Expert.";
+const HOLD_MESSAGE = "Please hold while I transfer you to an agent.";
+const STILL_WORKING_MESSAGE =
+  "Sorry, this is taking longer than usual. I'm still working on it, please try again in a moment.";
+const AGENTS_UNAVAILABLE_MESSAGE =
+  "Our Staples Experts are not available right now. Here is what I can do for you instead:";
+const ALTERNATIVE_CONFIRMED_MESSAGE = "Thanks, I've noted that.";
+const ALTERNATIVE_FAILED_MESSAGE =
+  "Sorry, I couldn't set that up right now. Please try again later.";
+// Quick-reply payload for a transfer alternative: "transfer_alternative:callback"
+const ALTERNATIVE_PAYLOAD_PREFIX = "transfer_alternative:";
+// Saved and handed over instead of a step-up code the user typed
+const ONE_TIME_CODE_PLACEHOLDER = "[one-time code]";
+
+const SEND_API = "easysystem-send-api";
+const SAVE_API = "easysystem-save-api";
+const CONTEXT_API = "easysystem-context-api";
+
+// Service -> timeout budget name in botConfig.timeouts (see turn-deadline.js)
+const ENDPOINT_OF = {
+  [SEND_API]: "send",
+  [SAVE_API]: "save",
+  [CONTEXT_API]: "context",
+};
+
+// What became of a transcript save (resolved by safeMessageSave)
+const SAVE_OUTCOMES = Object.freeze({
+  SAVED: "SAVED",
+  QUEUED: "QUEUED",
+  ALREADY_QUEUED: "ALREADY_QUEUED", // the same save is waiting in the outbox
+  DROPPED_OUTBOX_FULL: "DROPPED_OUTBOX_FULL", // the outbox pruned it on arrival
+  DROPPED_BREAKER_OPEN: "DROPPED_BREAKER_OPEN",
+  FAILED: "FAILED",
+});
+
+// ---- Session accessors -----------------------------------------------------------------------
+
+function conversationIdOf(data) {
+  return data?.context?.session?.BotUserSession?.conversationSessionId;
+}
+
+function isBlank(value) {
+  return value === undefined || value === null || !String(value).trim();
+}
+
+// ---- HTTP client (resilient if possible) -----------------------------------------------------
+
+const API_CLIENT_SETTINGS = {
+  timeout: 30000,
+  maxRetries: 3,
+  baseDelay: 1000,
+  maxDelay: 10000,
+};
+
+// settings: botConfig.httpClient overrides; onRetry only reaches the built-in client
+function createApiClient(settings, onRetry) {
+  const clientSettings = { ...API_CLIENT_SETTINGS, ...settings };
+  try {
+    const client = new kit.ApiClientWrapper(clientSettings);
+    console.log("✅ ApiClientWrapper initialized successfully");
+    return client;
+  } catch (error) {
+    // If resilient client is missing, the built-in one retries the same way.
+    console.warn("⚠️  ApiClientWrapper failed, using built-in HTTP client");
+    console.warn("⚠️  Error:", error.message);
+
+    const client = createHttpClient({ ...clientSettings, onRetry });
+    console.log("✅ Built-in HTTP client initialized successfully");
+    return client;
+  }
+}
+
+// ---- Factory ---------------------------------------------------------------------------------
+
+/**
+ * Builds the adapter core for one bot.
+ *
+ * options:
+ *   botName              - key for getBotConfig / getBotUrls
+ *   instanceId           - health-monitor instance id and save outbox name; unique per bot
+ *   defaultBusinessUnit  - used when the session carries none
+ *   buildHeaders(data)   - headers for send/context calls (default: JSON + business-unit)
+ *   buildContextRequest(data) - { headers, body } for sendContextToEasySystem
+ *   transferMessages     - transfer message catalog (default: botConfig.transferMessagesFile
+ *                          or easysystem/templates/transfer-messages.json)
+ *   promptTemplates      - template catalog (default: botConfig.promptTemplatesFile
+ *                          or easysystem/templates/prompts.json)
+ *   saveBreakerPolicy    - "queue" (default) or "drop": what happens to a transcript
+ *                          save while the save API breaker is open or the post fails
+ *                          (default: botConfig.saveBreakerPolicy)
+ *   slotValidator        - order number / ZIP validator (default: built from
+ *                          botConfig.orderNumberPatterns)
+ *   legacyEndConversationFlags - extra BotUserSession flags older dialogs read when
+ *                          EasySystem ends the conversation
+ *   handoffEntities(data) - extra entities for the agent handoff (see handoff.js)
+ *   transferQueueProvider(context) - live agent-queue check before a transfer
+ *                          (see transfer-policy.js; calendars come from botConfig.transferPolicy)
+ *   onTransferAlternative({ choice, data, handoff }) - books the callback / email ticket
+ *                          the user picked when no agent was available, sync or as a
+ *                          promise (false or a rejection means it was not booked);
+ *                          without it only "retry later" is offered
+ *   onTurnStart(data)    - runs first when a user message or webhook arrives (the SBA
+ *                          bots settle verified login state here, see identity-context.js)
+ *   identityOf(data)     - verified { USER_ID, MASTER_ACCOUNT, ROLE, loggedIn } of the
+ *                          caller, for routes that declare a permission (see
+ *                          authorization.js; the matrix comes from botConfig.authorization),
+ *                          the agent handoff and to bind step-up to the user (default: the
+ *                          session token per botConfig.sessionAuth, else anonymous)
+ *   stepUpProvider       - delivers step-up codes (see step-up.js); without it the
+ *                          botConfig.stepUp.provider stand-in is used. Without either,
+ *                          routes that declare stepUp fail createWebhookHandler
+ *   onOwnershipChange(event) - hook for every ownership transition (see ownership.js)
+ *   onRelayReply(response, data, callback) - handles EasySystem's reply when it owns the turn
+ */
+function createAdapterCore(options) {
+  const {
+    botName,
+    instanceId,
+    cleanupInterval = 30 * 60 * 1000,
+    defaultBusinessUnit,
+    buildHeaders,
+    buildContextRequest,
+    transferMessages: transferMessagesOption,
+    promptTemplates,
+    slotValidator,
+    saveBreakerPolicy: saveBreakerPolicyOption,
+    legacyEndConversationFlags,
+    handoffEntities,
+    transferQueueProvider,
+    onTransferAlternative,
+    onTurnStart,
+    identityOf: identityOfOption,
+    stepUpProvider,
+    onOwnershipChange,
+    onRelayReply,
+  } = options;
+
+  const botConfig = getBotConfig(botName);
+  const saveBreakerPolicy = saveBreakerPolicyOption || botConfig?.saveBreakerPolicy || "queue";
+  const botUrls = getBotUrls(botName);
+
+  const enhancedLogger = kit.EnhancedLogger;
+  // At most one message and one webhook answer per turn, whoever sends them (see response-guard.js)
+  const responses = createResponseGuard({ botName, enhancedLogger });
+  const sdk = responses.wrap(platformSdk);
+  const errorHandler = kit.ErrorHandler;
+  const circuitBreaker = kit.CircuitBreaker;
+  const sessionManager = kit.SessionManager;
+  const healthMonitor = createHealthMonitor({ instanceId, cleanupInterval });
+  const apiClient = createApiClient(botConfig?.httpClient, (retry) =>
+    enhancedLogger.warn("HTTP_RETRY", retry)
+  );
+  const ownership = createOwnershipMachine({
+    botName,
+    enhancedLogger,
+    legacyEndConversationFlags,
+    onTransition: onOwnershipChange,
+  });
+  const replies = createResponseNormalizer();
+  const deadlines = createTurnDeadlines(botConfig?.timeouts);
+  // Breakers keyed "<service>:<businessUnit>", settings from botConfig.circuitBreakers
+  const breakers = createServiceBreakers({
+    circuitBreaker,
+    config: botConfig?.circuitBreakers,
+    businessUnitOf,
+  });
+  // Failed transcript saves wait here and are replayed once the save API recovers
+  const outbox = createSaveOutbox({
+    name: instanceId,
+    ...botConfig?.saveOutbox,
+    logger: enhancedLogger,
+    send: replaySave,
+  });
+  const renderer = createContentRenderer(
+    botConfig?.templateChannels ? { templateChannels: botConfig.templateChannels } : {}
+  );
+  const prompts =
+    promptTemplates ||
+    loadPromptTemplates(botConfig?.promptTemplatesFile || DEFAULT_TEMPLATES_FILE);
+  const transferMessages =
+    transferMessagesOption ||
+    loadTransferMessages(
+      botConfig?.transferMessagesFile || DEFAULT_MESSAGES_FILE,
+      DEFAULT_TRANSFER_MESSAGE
+    );
+  // Who the caller is: the bot's own resolver, else the verified session token
+  // (botConfig.sessionAuth), else anonymous
+  const sessionAuth = botConfig?.sessionAuth ? createSessionAuth(botConfig.sessionAuth) : null;
+  const identityOf =
+    identityOfOption || ((data) => (sessionAuth ? sessionAuth.resolve(data) : { ...NOT_CONFIGURED }));
+  const handoffs = createHandoffBuilder({
+    ...botConfig?.handoff,
+    identityOf,
+    entities: handoffEntities,
+  });
+  // Business hours, holidays and queue capacity, checked before every transfer
+  const transferPolicy = createTransferPolicy({
+    ...botConfig?.transferPolicy,
+    queueProvider: transferQueueProvider,
+    logger: enhancedLogger,
+  });
+  // Account-role permissions for account-administration routes
+  const authorizer = createAuthorizer(botConfig?.authorization);
+  // Yes/no step before destructive routes
+  const confirmations = createConfirmations(botConfig?.confirmation);
+  // One-time code before high-risk account changes; bots with stepUp routes must configure it
+  const stepUp =
+    stepUpProvider || botConfig?.stepUp
+      ? createStepUp({
+          ...botConfig?.stepUp,
+          name: instanceId,
+          provider: stepUpProvider || providerFromConfig(botConfig.stepUp),
+        })
+      : null;
+  // Routes that confirm or step up run on a later user message; createWebhookHandler
+  // registers them here
+  const gatedRoutes = new Map();
+  const validator =
+    slotValidator || createSlotValidator({ orderNumberPatterns: botConfig?.orderNumberPatterns });
+
+  // EasySystem endpoints (from env)
+  const urls = {
+    sendMessage: botUrls.sendMessage,
+    saveMessage: botUrls.saveMessage,
+    contextLoad: botUrls.contextLoad,
+  };
+  const SERVICE_URLS = {
+    [SEND_API]: urls.sendMessage,
+    [CONTEXT_API]: urls.contextLoad,
+  };
+
+  function businessUnitOf(data) {
+    return data?.context?.session?.BotUserSession?.businessUnit || defaultBusinessUnit;
+  }
+
+  function localeOf(data) {
+    return (
+      data?.context?.session?.BotUserSession?.locale ||
+      data?.context?.currentLanguage ||
+      prompts.defaultLocale
+    );
+  }
+
+  // Throws PROMPT_INCOMPLETE rather than rendering a prompt with holes in it
+  function renderPrompt(name, values, data) {
+    return prompts.render(name, values, {
+      businessUnit: businessUnitOf(data),
+      locale: localeOf(data),
+    });
+  }
+
+  function headersFor(data) {
+    if (typeof buildHeaders === "function") return buildHeaders(data);
+    return {
+      "Content-Type": "application/json",
+      "business-unit": businessUnitOf(data),
+    };
+  }
+
+  // Send calls carry an Idempotency-Key so a retried post is not answered twice
+  function sendHeadersFor(data, requestData, correlationId) {
+    return {
+      ...headersFor(data),
+      [IDEMPOTENCY_HEADER]: idempotencyKey(
+        SEND_API,
+        correlationId || enhancedLogger.generateCorrelationId(),
+        requestData
+      ),
+    };
+  }
+
+  // ---- Transfer helpers ----------------------------------------------------------------------
+
+  // Catalog text for this reason, business unit and locale; EasySystem's own text wins
+  function transferMessageFor(data, reason, esText) {
+    return transferMessages.messageFor(reason, {
+      businessUnit: businessUnitOf(data),
+      locale: localeOf(data),
+      esText,
+    });
+  }
+
+  // Sets what the agent and the user get on a transfer: data.message,
+  // BotUserSession.transferReason and the structured BotUserSession.handoff
+  function prepareHandoff(data, reason, esText, correlationId) {
+    const message = transferMessageFor(data, reason, esText);
+    const session = data.context.session.BotUserSession;
+    const handoff = handoffs.build(data, {
+      reason,
+      message,
+      businessUnit: businessUnitOf(data),
+      conversationId: conversationIdOf(data),
+      correlationId,
+    });
+
+    data.message = message;
+    session.transferReason = reason;
+    session.handoff = handoff;
+    enhancedLogger.info(
+      "AGENT_HANDOFF",
+      {
+        reason,
+        businessUnit: handoff.businessUnit,
+        lastIntent: handoff.lastIntent,
+        conversationId: handoff.easySystemConversationId,
+      },
+      handoff.correlationId
+    );
+    return message;
+  }
+
+  /**
+   * Hands the conversation to an agent. reason is one of TRANSFER_REASONS;
+   * esText is EasySystem's own message when it asked for the transfer. When the
+   * transfer policy finds no agent available, alternatives are offered instead.
+   */
+  function triggerAgentTransfer(data, callback, reason = TRANSFER_REASONS.API_ERROR, esText) {
+    reason = transferReasonOf(reason);
+    return evaluateTransfer(data, reason).then((decision) =>
+      decision.available
+        ? handOver(data, callback, reason, esText)
+        : offerAlternatives(data, callback, reason, decision)
+    );
+  }
+
+  /**
+   * triggerAgentTransfer for HOOK-delivery routes, whose result the dialog's
+   * next node renders: nothing is sent here. Resolves null once data is set up
+   * for the hand-over (TRANSFER_PENDING), or, when no agent is available, the
+   * alternatives offer for the caller to render (the offer itself is pending
+   * as with offerAlternatives).
+   */
+  function transferFromHook(data, reason = TRANSFER_REASONS.API_ERROR, esText) {
+    reason = transferReasonOf(reason);
+    return evaluateTransfer(data, reason).then((decision) => {
+      if (!decision.available) return offerFor(data, reason, decision);
+      prepareHandoff(data, reason, esText);
+      ownership.transition(data, STATES.TRANSFER_PENDING, {
+        reason: "agent_transfer",
+        transferReason: reason,
+      });
+      return null;
+    });
+  }
+
+  function transferReasonOf(reason) {
+    if (isTransferReason(reason)) return reason;
+    console.warn(`⚠️  Unknown transfer reason "${reason}", using ${TRANSFER_REASONS.API_ERROR}`);
+    return TRANSFER_REASONS.API_ERROR;
+  }
+
+  // A policy that fails must not strand the user: treat it as "agents available"
+  function evaluateTransfer(data, reason) {
+    return transferPolicy
+      .evaluate({ businessUnit: businessUnitOf(data), reason, data })
+      .catch((err) => {
+        console.error("transfer policy error:", err?.message || err);
+        return { available: true };
+      });
+  }
+
+  function handOver(data, callback, reason, esText) {
+    try {
+      const finalMessage = prepareHandoff(data, reason, esText);
+
+      ownership.transition(data, STATES.TRANSFER_PENDING, {
+        reason: "agent_transfer",
+        transferReason: reason,
+      });
+      data.agent_transfer = true; // per-request platform flag, even if an agent is already connected
+
+      console.log("🔁 Triggering agent transfer with message:", finalMessage);
+      return sdk.sendBotMessage(data, callback);
+    } catch (e) {
+      console.error("triggerAgentTransfer error:", e?.message || e);
+      data.message = data.message || DEFAULT_TRANSFER_MESSAGE;
+      return sdk.sendBotMessage(data, callback);
+    }
+  }
+
+  // ---- No agent available --------------------------------------------------------------------
+
+  // Transfer-catalog text other than the transfer message itself, or null
+  function catalogText(data, name, values = {}) {
+    return transferMessages.textFor(name, values, {
+      businessUnit: businessUnitOf(data),
+      locale: localeOf(data),
+    });
+  }
+
+  function unavailableText(data, decision) {
+    const opensAt = describeOpening(decision.nextOpening, localeOf(data));
+    return (
+      (opensAt && catalogText(data, `agents_${decision.status}`, { opensAt })) ||
+      (decision.status === TRANSFER_STATUSES.QUEUE_FULL && catalogText(data, "agents_queue_full")) ||
+      catalogText(data, "agents_unavailable") ||
+      AGENTS_UNAVAILABLE_MESSAGE
+    );
+  }
+
+  function alternativeLabel(data, id) {
+    return catalogText(data, `alternative_${id}`) || id;
+  }
+
+  // Callbacks and tickets are only promised when something can book them
+  function offerableAlternatives(decision) {
+    if (typeof onTransferAlternative === "function") return decision.alternatives;
+    const offerable = decision.alternatives.filter((id) => id === TRANSFER_ALTERNATIVES.RETRY_LATER);
+    return offerable.length ? offerable : [TRANSFER_ALTERNATIVES.RETRY_LATER];
+  }
+
+  // The bot keeps the conversation and offers the policy's alternatives as quick
+  // replies; the offer (with the handoff an agent would have got) waits in
+  // BotUserSession.transferOffer for the user's answer
+  function offerAlternatives(data, callback, reason, decision) {
+    return sendReply(data, callback, offerFor(data, reason, decision));
+  }
+
+  // Records the pending offer and returns the quick-reply reply that makes it
+  function offerFor(data, reason, decision) {
+    const session = data.context.session.BotUserSession;
+    const text = unavailableText(data, decision);
+    const alternatives = offerableAlternatives(decision);
+
+    session.transferOffer = {
+      reason,
+      status: decision.status,
+      nextOpening: decision.nextOpening,
+      alternatives,
+      handoff: handoffs.build(data, {
+        reason,
+        message: text,
+        businessUnit: businessUnitOf(data),
+        conversationId: conversationIdOf(data),
+      }),
+      offeredAt: new Date().toISOString(),
+    };
+    ownership.transition(data, STATES.KORE_DIALOG, { reason: "agents_unavailable" });
+    enhancedLogger.info("TRANSFER_UNAVAILABLE", {
+      reason,
+      status: decision.status,
+      businessUnit: businessUnitOf(data),
+      conversationId: conversationIdOf(data),
+    });
+
+    return {
+      contentType: "quick_replies",
+      text,
+      extras: {
+        quickReplies: alternatives.map((id) => ({
+          title: alternativeLabel(data, id),
+          payload: `${ALTERNATIVE_PAYLOAD_PREFIX}${id}`,
+        })),
+      },
+    };
+  }
+
+  // The offered alternative the user's message picks (payload, id or label), or null
+  function alternativeChosen(data, offer) {
+    const answer = String(data.message || "").trim().toLowerCase();
+    return (
+      offer.alternatives.find((id) =>
+        [`${ALTERNATIVE_PAYLOAD_PREFIX}${id}`, id, alternativeLabel(data, id)].some(
+          (value) => value.toLowerCase() === answer
+        )
+      ) || null
+    );
+  }
+
+  /**
+   * Answers a pending transfer offer. Returns false when the message is not a
+   * pick from it; the offer is dropped either way and the turn goes on as usual.
+   */
+  function handleTransferAlternative(data, callback, correlationId) {
+    const session = data.context.session.BotUserSession;
+    const offer = session.transferOffer;
+    delete session.transferOffer;
+    const choice = offer && alternativeChosen(data, offer);
+    if (!choice) return false;
+
+    session.transferAlternative = {
+      choice,
+      reason: offer.reason,
+      handoff: offer.handoff,
+      requestedAt: new Date().toISOString(),
+    };
+    const logData = {
+      choice,
+      reason: offer.reason,
+      businessUnit: businessUnitOf(data),
+      conversationId: conversationIdOf(data),
+    };
+    enhancedLogger.info("TRANSFER_ALTERNATIVE_CHOSEN", logData, correlationId);
+
+    // Only "retry later" needs nothing booked; anything else is confirmed once
+    // the handler has booked it
+    return Promise.resolve()
+      .then(() => {
+        if (typeof onTransferAlternative === "function") {
+          return onTransferAlternative({ choice, data, handoff: offer.handoff });
+        }
+        if (choice !== TRANSFER_ALTERNATIVES.RETRY_LATER) {
+          throw new Error(`No onTransferAlternative handler to book "${choice}"`);
+        }
+        return undefined;
+      })
+      .then((result) => {
+        if (result === false) throw new Error(`onTransferAlternative did not book "${choice}"`);
+      })
+      .then(
+        () => catalogText(data, `alternative_${choice}_confirmed`) || ALTERNATIVE_CONFIRMED_MESSAGE,
+        (err) => {
+          enhancedLogger.error(
+            "TRANSFER_ALTERNATIVE_FAILED",
+            { ...logData, error: err?.message || String(err) },
+            correlationId
+          );
+          session.transferAlternative.failed = true;
+          return ALTERNATIVE_FAILED_MESSAGE;
+        }
+      )
+      .then((text) => sendReply(data, callback, { contentType: "text/plain", text }));
+  }
+
+  function processEasySystemResponse(data, responseData) {
+    data.message = responseData.text;
+    if (responseData.transfer) {
+      prepareHandoff(data, TRANSFER_REASONS.EASYSYSTEM_REQUESTED, responseData.text);
+      ownership.transition(data, STATES.TRANSFER_PENDING, { reason: "easysystem_transfer" });
+    } else if (responseData.endConversation) {
+      ownership.transition(data, STATES.ENDED, { reason: "easysystem_end" });
+    } else {
+      ownership.transition(data, STATES.EASYSYSTEM_OWNED, { reason: "easysystem_reply" });
+    }
+  }
+
+  // The turn ran out of time: tell the user we're still on it, or hand over
+  function onDeadlineExceeded(serviceName, data, callback, correlationId) {
+    enhancedLogger.warn(
+      "TURN_DEADLINE_EXCEEDED",
+      {
+        service: serviceName,
+        policy: deadlines.settings.onExceeded,
+        conversationId: conversationIdOf(data),
+      },
+      correlationId
+    );
+    if (deadlines.settings.onExceeded === "still_working") {
+      data.message = STILL_WORKING_MESSAGE;
+      return sdk.sendUserMessage(data, callback);
+    }
+    return triggerAgentTransfer(data, callback, TRANSFER_REASONS.DEADLINE_EXCEEDED);
+  }
+
+  // ---- EasySystem replies --------------------------------------------------------------------
+
+  // Normalized reply (see es-response.js), or null when the reply fails the schema
+  function readReply(raw, data, correlationId) {
+    try {
+      return replies.normalize(raw);
+    } catch (err) {
+      if (err.code !== "ES_RESPONSE_INVALID") throw err;
+      enhancedLogger.warn(
+        "ES_RESPONSE_INVALID",
+        { error: err.message, conversationId: conversationIdOf(data) },
+        correlationId
+      );
+      return null;
+    }
+  }
+
+  // Renders a reply into data.message (plain text) plus, on template-capable
+  // channels, a Kore template. The template is also left in
+  // BotUserSession.richContent for Script nodes that render from session.
+  function renderReply(data, reply) {
+    const { text, template } = renderer.render(reply);
+    data.message = text;
+    delete data.overrideMessagePayload;
+    if (data.context?.session?.BotUserSession) {
+      data.context.session.BotUserSession.richContent = template;
+    }
+    if (template && renderer.supportsTemplates(data)) {
+      data.overrideMessagePayload = { body: JSON.stringify(template), isTemplate: true };
+    }
+    return { text, template };
+  }
+
+  function sendReply(data, callback, reply) {
+    renderReply(data, reply);
+    handoffs.recordTurn(data, "assistant", data.message);
+    return sdk.sendUserMessage(data, callback);
+  }
+
+  // ---- Circuit-breaker + logging wrappers ----------------------------------------------------
+
+  // Validates a safeEasySystemCall options object; a mistyped call fails loudly
+  // instead of silently shifting arguments into the wrong slots
+  function checkCall(call) {
+    const fail = (message) => {
+      const err = new TypeError(`safeEasySystemCall: ${message}`);
+      err.code = "ES_CALL_INVALID";
+      throw err;
+    };
+    if (!call || typeof call !== "object") fail("expects one options object");
+    if (!SERVICE_URLS[call.service]) {
+      fail(`unknown service "${call.service}" (expected ${Object.keys(SERVICE_URLS).join(", ")})`);
+    }
+    if (!call.body || typeof call.body !== "object") fail("body must be the request payload object");
+    if (!call.data?.context) fail("data must be the Kore turn data");
+    if (typeof call.callback !== "function") fail("callback must be a function");
+    if (typeof call.onReply !== "function") fail("onReply must be a function");
+    if (call.correlationId !== undefined && typeof call.correlationId !== "string") {
+      fail("correlationId must be a string");
+    }
+    return {
+      ...call,
+      url: call.url || SERVICE_URLS[call.service],
+      correlationId: call.correlationId || enhancedLogger.generateCorrelationId(),
+    };
+  }
+
+  /**
+   * Calls EasySystem behind its breaker and the turn deadline, then hands the
+   * reply to onReply, sync or async. A reply asking for an agent is transferred
+   * here and never reaches onReply. Every failure, onReply's included, ends
+   * in an agent transfer (or the deadline policy) unless the turn has already
+   * replied; a malformed call rejects with ES_CALL_INVALID.
+   *
+   * call:
+   *   service        - SEND_API or CONTEXT_API
+   *   body           - request payload
+   *   data, callback - the Kore turn
+   *   onReply(response, data, callback) - response.data is the normalized reply
+   *                    for SEND_API, the raw body for CONTEXT_API
+   *   url            - endpoint (default: the service's URL)
+   *   correlationId  - (default: a new one)
+   */
+  async function safeEasySystemCall(call) {
+    const {
+      service: serviceName,
+      url,
+      body: requestData,
+      data,
+      callback,
+      correlationId,
+      onReply,
+    } = checkCall(call);
+
+    let budget;
+    let admitted = false;
+    try {
+      budget = deadlines.budgetFor(data, ENDPOINT_OF[serviceName]);
+      const canExec = await breakers.canExecute(serviceName, data);
+      if (!canExec) {
+        enhancedLogger.warn(
+          "CIRCUIT_BREAKER_OPEN",
+          { service: serviceName, conversationId: conversationIdOf(data) },
+          correlationId
+        );
+        return triggerAgentTransfer(data, callback, TRANSFER_REASONS.CIRCUIT_OPEN);
+      }
+      admitted = true;
+
+      enhancedLogger.logApiCallStart(url, requestData, correlationId);
+
+      const response = await apiClient.post(url, requestData, {
+        headers:
+          serviceName === SEND_API
+            ? sendHeadersFor(data, requestData, correlationId)
+            : headersFor(data),
+        timeout: budget.timeout,
+        deadline: budget.deadlineAt,
+        data, // keep session context for circuit breaker / middleware
+      });
+
+      await breakers.recordSuccess(serviceName, data);
+      enhancedLogger.logApiCallComplete(url, response, correlationId);
+
+      // Chat replies reach the bots normalized; context-load replies pass through
+      const reply =
+        serviceName === SEND_API ? readReply(response?.data, data, correlationId) : response?.data;
+      if (reply === null) {
+        return triggerAgentTransfer(data, callback, TRANSFER_REASONS.VALIDATION_FAILED);
+      }
+
+      if (reply?.transfer === true || data.agent_transfer === true) {
+        console.log("🚦 ES indicated transfer:", JSON.stringify(reply));
+        return triggerAgentTransfer(
+          data,
+          callback,
+          TRANSFER_REASONS.EASYSYSTEM_REQUESTED,
+          reply?.text
+        );
+      }
+
+      try {
+        return await onReply({ ...response, data: reply }, data, callback);
+      } catch (error) {
+        // The call went through; only the bot's handling of the reply failed
+        enhancedLogger.error(
+          "ES_REPLY_HANDLER_FAILED",
+          { service: serviceName, error: error?.message || String(error) },
+          correlationId
+        );
+        if (responses.hasReplied(data)) return undefined;
+        return triggerAgentTransfer(data, callback, TRANSFER_REASONS.API_ERROR);
+      }
+    } catch (error) {
+      if (deadlines.isDeadlineError(error, budget)) {
+        // A call the breaker let through must report back, or a half-open
+        // probe would never be returned
+        if (admitted) await breakers.recordFailure(serviceName, data, error);
+        return onDeadlineExceeded(serviceName, data, callback, correlationId);
+      }
+      await breakers.recordFailure(serviceName, data, error);
+      enhancedLogger.logApiCallError(url, error, correlationId);
+
+      // Whatever already reached the user stands; no transfer on top of it
+      if (responses.hasReplied(data)) return undefined;
+      return triggerAgentTransfer(data, callback, TRANSFER_REASONS.API_ERROR);
+    }
+  }
+
+  /**
+   * Saves one transcript message. Resolves { outcome, error } with outcome one of
+   * SAVE_OUTCOMES; never rejects. successCallback runs on SAVED, errorCallback
+   * (error, outcome) on anything else — each at most once.
+   *
+   * While the save breaker is open nothing is posted: the payload goes to the
+   * outbox, or is dropped under the "drop" policy.
+   */
+  async function safeMessageSave(
+    url,
+    messageSaveData,
+    data,
+    correlationId,
+    successCallback,
+    errorCallback
+  ) {
+    const cid = correlationId ?? enhancedLogger.generateCorrelationId();
+    const conversationId = messageSaveData?.externalConversationId;
+
+    const settle = (outcome, error) => {
+      try {
+        if (outcome === SAVE_OUTCOMES.SAVED) {
+          if (typeof successCallback === "function") successCallback();
+        } else if (typeof errorCallback === "function") {
+          errorCallback(error, outcome);
+        }
+      } catch (cbError) {
+        console.error("safeMessageSave callback error:", cbError?.message || cbError);
+      }
+      return { outcome, error };
+    };
+
+    // QUEUED only when the outbox actually kept the entry
+    const enqueue = (reason) => {
+      const key = saveKey(cid, messageSaveData);
+      if (outbox.enqueue(messageSaveData, cid, key)) {
+        enhancedLogger.info("MESSAGE_SAVE_QUEUED", { conversationId, reason }, cid);
+        return SAVE_OUTCOMES.QUEUED;
+      }
+      const outcome = outbox.has(key)
+        ? SAVE_OUTCOMES.ALREADY_QUEUED
+        : SAVE_OUTCOMES.DROPPED_OUTBOX_FULL;
+      enhancedLogger.warn("MESSAGE_SAVE_NOT_QUEUED", { conversationId, reason, outcome }, cid);
+      return outcome;
+    };
+
+    const queueOrDrop = (reason, error) => {
+      if (saveBreakerPolicy === "drop") {
+        const outcome =
+          reason === "breaker_open" ? SAVE_OUTCOMES.DROPPED_BREAKER_OPEN : SAVE_OUTCOMES.FAILED;
+        enhancedLogger.warn("MESSAGE_SAVE_DROPPED", { conversationId, reason }, cid);
+        return settle(outcome, error);
+      }
+      return settle(enqueue(reason), error);
+    };
+
+    // Keep per-conversation order: behind an existing backlog, queue and replay
+    if (outbox.hasPending(conversationId)) {
+      const outcome = enqueue("backlog");
+      outbox.flush().catch(() => {});
+      return settle(outcome);
+    }
+
+    let canExec;
+    try {
+      canExec = await breakers.canExecute(SAVE_API, data);
+    } catch (breakerError) {
+      canExec = true; // a broken breaker must not cost us the transcript
+    }
+    if (!canExec) {
+      enhancedLogger.warn(
+        "CIRCUIT_BREAKER_OPEN",
+        { service: SAVE_API, conversationId: conversationIdOf(data) },
+        cid
+      );
+      const err = new Error(`Circuit breaker open for ${SAVE_API}`);
+      err.code = "CIRCUIT_OPEN";
+      return queueOrDrop("breaker_open", err);
+    }
+
+    try {
+      await postSave(url, messageSaveData, cid, data);
+    } catch (saveError) {
+      await breakers.recordFailure(SAVE_API, data, saveError);
+
+      enhancedLogger.warn(
+        "MESSAGE_SAVE_FAILED",
+        { error: saveError?.message, conversationId },
+        cid
+      );
+      return queueOrDrop("save_failed", saveError);
+    }
+
+    await breakers.recordSuccess(SAVE_API, data);
+    enhancedLogger.info("MESSAGE_SAVED_TO_EASYSYSTEM", { conversationId }, cid);
+
+    // The endpoint is answering again; drain whatever piled up meanwhile
+    if (outbox.size()) outbox.flush().catch(() => {});
+    return settle(SAVE_OUTCOMES.SAVED);
+  }
+
+  // The key depends only on the payload and correlation id, so an outbox
+  // replay of a save that did land is recognised by EasySystem; the outbox
+  // dedupes on it too
+  function saveKey(cid, messageSaveData) {
+    return idempotencyKey(SAVE_API, cid, messageSaveData);
+  }
+
+  function postSave(url, messageSaveData, cid, data) {
+    return apiClient.post(url, messageSaveData, {
+      headers: {
+        "Content-Type": "application/json",
+        "X-Correlation-Id": cid,
+        [IDEMPOTENCY_HEADER]: saveKey(cid, messageSaveData),
+      },
+      timeout: deadlines.settings.save, // off the reply path: no turn deadline
+      data,
+    });
+  }
+
+  // Outbox delivery: same breaker as live saves, so a dead endpoint is not hammered
+  async function replaySave(entry) {
+    // Same breaker key as the live save for this business unit
+    const data = { context: { session: { BotUserSession: { businessUnit: entry.payload?.businessUnit } } } };
+    const canExec = await breakers.canExecute(SAVE_API, data);
+    if (!canExec) {
+      const err = new Error(`Circuit breaker open for ${SAVE_API}`);
+      err.code = "CIRCUIT_OPEN";
+      throw err;
+    }
+    try {
+      await postSave(urls.saveMessage, entry.payload, entry.correlationId);
+    } catch (err) {
+      await breakers.recordFailure(SAVE_API, data, err);
+      throw err;
+    }
+    await breakers.recordSuccess(SAVE_API, data);
+    enhancedLogger.info(
+      "MESSAGE_SAVE_REPLAYED",
+      { conversationId: entry.conversationId, attempts: entry.attempts },
+      entry.correlationId
+    );
+  }
+
+  // ---- EasySystem request helpers ------------------------------------------------------------
+
+  function makeRequestData(data, text) {
+    const convId = conversationIdOf(data);
+    return {
+      text,
+      externalConversationId: convId,
+      conversationId: convId,
+      businessUnit: businessUnitOf(data),
+    };
+  }
+
+  function makeContextData(data, entityMap) {
+    const convId = conversationIdOf(data);
+    return {
+      externalConversationId: convId,
+      conversationId: convId,
+      assistantType: "STANDARD",
+      channel: "Kore",
+      ...(entityMap !== undefined ? { entityMap } : {}),
+    };
+  }
+
+  function makeMessageSaveData(data, role, text = data.message) {
+    return {
+      text,
+      externalConversationId: conversationIdOf(data),
+      businessUnit: businessUnitOf(data),
+      role,
+      channel: "Kore",
+    };
+  }
+
+  // Update ES context, *then* run onSuccess (transfer on any failure)
+  function updateESContextThen(contextData, data, callback, onSuccess, correlationId) {
+    return safeEasySystemCall({
+      service: CONTEXT_API,
+      body: contextData,
+      data,
+      callback,
+      correlationId,
+      onReply: () => onSuccess(),
+    });
+  }
+
+  // Send a text turn to EasySystem and resolve with its reply (rejects on failure)
+  async function easySendText(data, text) {
+    const correlationId = enhancedLogger.generateCorrelationId();
+    const payload = makeRequestData(data, text);
+    let res;
+    let budget;
+    let admitted = false;
+
+    try {
+      budget = deadlines.budgetFor(data, ENDPOINT_OF[SEND_API]);
+      const allow = await breakers.canExecute(SEND_API, data);
+      if (!allow) {
+        const err = new Error(`Circuit breaker open for ${SEND_API}`);
+        err.code = "CIRCUIT_OPEN";
+        throw err;
+      }
+      admitted = true;
+
+      enhancedLogger.logApiCallStart(urls.sendMessage, payload, correlationId);
+
+      res = await apiClient.post(urls.sendMessage, payload, {
+        headers: sendHeadersFor(data, payload, correlationId),
+        timeout: budget.timeout,
+        deadline: budget.deadlineAt,
+        data,
+      });
+
+      await breakers.recordSuccess(SEND_API, data);
+      enhancedLogger.logApiCallComplete(urls.sendMessage, res, correlationId);
+    } catch (error) {
+      if (deadlines.isDeadlineError(error, budget)) {
+        enhancedLogger.warn(
+          "TURN_DEADLINE_EXCEEDED",
+          { service: SEND_API, conversationId: conversationIdOf(data) },
+          correlationId
+        );
+        if (admitted) await breakers.recordFailure(SEND_API, data, error);
+        error.code = "TURN_DEADLINE_EXCEEDED";
+        throw error;
+      }
+      await breakers.recordFailure(SEND_API, data, error);
+      enhancedLogger.logApiCallError(urls.sendMessage, error, correlationId);
+      throw error;
+    }
+
+    // A malformed reply is not a transport failure; keep it out of the breaker
+    return replies.normalize(res.data);
+  }
+
+  // Best-effort context push; never rejects
+  async function sendContextToEasySystem(data) {
+    const correlationId = enhancedLogger.generateCorrelationId();
+    let budget;
+    let admitted = false;
+    try {
+      budget = deadlines.budgetFor(data, ENDPOINT_OF[CONTEXT_API]);
+      const allow = await breakers.canExecute(CONTEXT_API, data);
+      if (!allow) {
+        enhancedLogger.warn(
+          "CIRCUIT_BREAKER_OPEN",
+          { service: CONTEXT_API, conversationId: conversationIdOf(data) },
+          correlationId
+        );
+        return;
+      }
+      admitted = true;
+
+      const request =
+        typeof buildContextRequest === "function"
+          ? buildContextRequest(data)
+          : { headers: headersFor(data), body: makeContextData(data) };
+
+      enhancedLogger.logApiCallStart(urls.contextLoad, request.body, correlationId);
+
+      const res = await apiClient.post(urls.contextLoad, request.body, {
+        headers: request.headers,
+        timeout: budget.timeout,
+        deadline: budget.deadlineAt,
+        data,
+      });
+
+      await breakers.recordSuccess(CONTEXT_API, data);
+      enhancedLogger.logApiCallComplete(urls.contextLoad, res, correlationId);
+    } catch (err) {
+      if (deadlines.isDeadlineError(err, budget)) {
+        enhancedLogger.warn(
+          "TURN_DEADLINE_EXCEEDED",
+          { service: CONTEXT_API, conversationId: conversationIdOf(data) },
+          correlationId
+        );
+        if (admitted) await breakers.recordFailure(CONTEXT_API, data, err);
+        return;
+      }
+      await breakers.recordFailure(CONTEXT_API, data, err);
+      enhancedLogger.logApiCallError(urls.contextLoad, err, correlationId);
+    }
+  }
+
+  // text: what to save instead of data.message (e.g. a redacted step-up code)
+  function saveTranscript(data, role, correlationId, text = data.message) {
+    handoffs.recordTurn(data, role, text);
+    const messageSaveData = makeMessageSaveData(data, role, text);
+    return safeMessageSave(
+      urls.saveMessage,
+      messageSaveData,
+      data,
+      correlationId,
+      () => {
+        console.log(
+          `✅ ${role} message saved for conversationId:`,
+          messageSaveData.externalConversationId
+        );
+      },
+      (err, outcome) => {
+        const detail = err?.response ? err.response.data : err?.message || err;
+        if (outcome === SAVE_OUTCOMES.QUEUED) {
+          console.warn(`⏳ ${role} message queued for replay:`, detail || "backlog");
+        } else if (outcome === SAVE_OUTCOMES.ALREADY_QUEUED) {
+          console.warn(`⏳ ${role} message already queued for replay:`, detail || "backlog");
+        } else {
+          console.error(`❌ Message save ${outcome}:`, detail);
+        }
+      }
+    );
+  }
+
+  // ---- Shared platform handlers --------------------------------------------------------------
+
+  // User → bot messages: relay to ES when it owns the turn, otherwise save + pass through
+  function on_user_message(requestId, data, callback) {
+    const correlationId = enhancedLogger.generateCorrelationId();
+    deadlines.start(data);
+    responses.start(data);
+
+    try {
+      if (typeof onTurnStart === "function") onTurnStart(data);
+
+      // Guardrails — if we don't have the basics, don't try to be clever.
+      if (isBlank(data.context.session.BotUserSession.businessUnit)) {
+        console.log("businessUnit is null or empty, not saving the message");
+        return sdk.sendBotMessage(data, callback);
+      }
+      if (isBlank(data.message)) {
+        console.log("message is null or empty, not saving the message");
+        return sdk.sendBotMessage(data, callback);
+      }
+
+      // A step-up code never reaches EasySystem, the save outbox or the handoff
+      const answersStepUp =
+        data.context.session.BotUserSession.stepUpChallenge && looksLikeCode(data.message);
+      saveTranscript(
+        data,
+        "user",
+        correlationId,
+        answersStepUp ? ONE_TIME_CODE_PLACEHOLDER : data.message
+      );
+
+      if (data.context.session.BotUserSession.transferOffer) {
+        const handled = handleTransferAlternative(data, callback, correlationId);
+        if (handled) return handled;
+      }
+      if (data.context.session.BotUserSession.stepUpChallenge) {
+        const handled = handleStepUp(data, callback, correlationId);
+        if (handled) return handled;
+      }
+      if (data.context.session.BotUserSession.pendingConfirmation) {
+        const handled = handleConfirmation(data, callback, correlationId);
+        if (handled) return handled;
+      }
+
+      if (!ownership.isEasySystemOwned(data)) {
+        // KORE owns the turn — let dialog do its thing
+        return sdk.sendBotMessage(data, callback);
+      }
+
+      // ES drives the turn; we relay the message and return ES' reply
+      const requestData = {
+        text: data.message,
+        conversationId: conversationIdOf(data),
+        businessUnit: businessUnitOf(data),
+      };
+
+      return safeEasySystemCall({
+        service: SEND_API,
+        body: requestData,
+        data,
+        callback,
+        correlationId,
+        onReply: (response, data, callback) => {
+          logger.info("Easysystem response:", JSON.stringify(response.data));
+          return onRelayReply(response, data, callback);
+        },
+      }).catch((err) => {
+        console.error("❌ safeEasySystemCall failed:", err?.message || err);
+        return triggerAgentTransfer(data, callback, TRANSFER_REASONS.API_ERROR);
+      });
+    } catch (error) {
+      enhancedLogger.error(
+        "USER_MESSAGE_PROCESSING_ERROR",
+        { error: error.message, conversationId: conversationIdOf(data) },
+        correlationId
+      );
+      return triggerAgentTransfer(data, callback, TRANSFER_REASONS.API_ERROR);
+    }
+  }
+
+  // Bot → user messages (save assistant outputs when KORE owns)
+  function on_bot_message(requestId, data, callback) {
+    const correlationId = enhancedLogger.generateCorrelationId();
+    responses.start(data);
+
+    try {
+      if (isBlank(data.context.session.BotUserSession.businessUnit)) {
+        console.log("businessUnit is null or empty, not saving the message");
+        return sdk.sendUserMessage(data, callback);
+      }
+      if (isBlank(data.message)) {
+        console.log("message is null or empty, not saving the message");
+        return sdk.sendUserMessage(data, callback);
+      }
+
+      if (ownership.isEasySystemOwned(data)) {
+        console.log("on_bot_message blocked by easysystem owner check");
+        return;
+      }
+
+      saveTranscript(data, "assistant", correlationId);
+      return sdk.sendUserMessage(data, callback);
+    } catch (error) {
+      enhancedLogger.error(
+        "BOT_MESSAGE_PROCESSING_ERROR",
+        { error: error.message, conversationId: conversationIdOf(data) },
+        correlationId
+      );
+      return triggerAgentTransfer(data, callback, TRANSFER_REASONS.API_ERROR);
+    }
+  }
+
+  // ---- Generic webhook dispatch --------------------------------------------------------------
+
+  function ackWebhook(data, callback) {
+    data.status = "success";
+    return sdk.sendWebhookResponse(data, callback);
+  }
+
+  function loadContextThen(route, data, callback, run, correlationId, contextEntities) {
+    if (route.context === CONTEXT_MODES.NONE) return run();
+
+    if (route.context === CONTEXT_MODES.BEST_EFFORT) {
+      return sendContextToEasySystem(data)
+        .finally(() => run())
+        .catch((err) => {
+          console.error(`❌ ${route.integration} failed:`, err?.message || err);
+          return triggerAgentTransfer(data, callback, TRANSFER_REASONS.API_ERROR);
+        });
+    }
+
+    const entityMap = typeof contextEntities === "function" ? contextEntities(data) : undefined;
+    const contextData = makeContextData(data, entityMap);
+
+    return updateESContextThen(contextData, data, callback, () => {
+      console.log(
+        `Context updated for ${route.componentName}, conversationId ` +
+          contextData.externalConversationId
+      );
+      return run();
+    }, correlationId);
+  }
+
+  // Re-asks for fields a turn could not be built from, instead of a wasted ES round-trip.
+  // BotUserSession.missingFields lists them for the dialog; script routes (and
+  // hook-delivered async ones) render BotUserSession.repromptMessage themselves,
+  // other routes get it sent directly.
+  function repromptFields(route, data, callback, { missing, invalid }, correlationId) {
+    const session = data.context.session.BotUserSession;
+    const fields = [...missing, ...invalid];
+
+    enhancedLogger.warn(
+      "SLOTS_INVALID",
+      {
+        componentName: route.componentName,
+        missing,
+        invalid,
+        conversationId: conversationIdOf(data),
+      },
+      correlationId
+    );
+
+    const templates = [...new Set(fields.map((f) => REPROMPT_TEMPLATES[f]))].filter(
+      (name) => name && prompts.has(name)
+    );
+    session.missingFields = fields;
+    session.repromptMessage = templates.map((name) => renderPrompt(name, {}, data)).join(" ");
+
+    const scriptRendered = route.ack === ACK_MODES.SCRIPT || route.delivery === DELIVERY_MODES.HOOK;
+    if (scriptRendered || !session.repromptMessage) {
+      return sdk.sendWebhookResponse(data, callback);
+    }
+    data.message = session.repromptMessage;
+    return sdk.sendUserMessage(data, callback);
+  }
+
+  // Tells the caller why a route they may not use did not run.
+  // BotUserSession.authorizationDenied says what was missing; script routes (and
+  // hook-delivered async ones) render BotUserSession.authorizationMessage
+  // themselves, other routes get it sent directly.
+  function denyRoute(route, data, callback, decision, correlationId) {
+    const session = data.context.session.BotUserSession;
+    const adminContact = session.customData?.adminEmail;
+
+    enhancedLogger.warn(
+      "ROUTE_NOT_AUTHORIZED",
+      {
+        componentName: route.componentName,
+        permission: decision.permission,
+        role: decision.role,
+        decision: decision.decision,
+        conversationId: conversationIdOf(data),
+      },
+      correlationId
+    );
+
+    let template = "not_authorized";
+    if (decision.decision === DECISIONS.ANONYMOUS) template = "not_authorized_sign_in";
+    else if (decision.onDenied === DENIAL_MODES.CONTACT_ADMIN && adminContact) {
+      template = "not_authorized_contact_admin";
+    }
+
+    session.authorizationDenied = {
+      componentName: route.componentName,
+      permission: decision.permission,
+      role: decision.role,
+      decision: decision.decision,
+      contactAdmin: decision.onDenied === DENIAL_MODES.CONTACT_ADMIN,
+    };
+    session.authorizationMessage = prompts.has(template)
+      ? renderPrompt(template, { adminContact }, data)
+      : "";
+
+    const scriptRendered = route.ack === ACK_MODES.SCRIPT || route.delivery === DELIVERY_MODES.HOOK;
+    if (scriptRendered || !session.authorizationMessage) {
+      return sdk.sendWebhookResponse(data, callback);
+    }
+    data.message = session.authorizationMessage;
+    return sdk.sendUserMessage(data, callback);
+  }
+
+  // ---- Confirmation before destructive routes ------------------------------------------------
+
+  function confirmLabel(data, answer) {
+    const name = `confirm_${answer}`;
+    return prompts.has(name) ? renderPrompt(name, {}, data) : answer;
+  }
+
+  // The route's summary, a line per detail slot it has (confirm_detail_<slot>), the question
+  function confirmationSummary(route, slots, data) {
+    const parts = [renderPrompt(route.confirm, slots, data)];
+    for (const [slot, value] of Object.entries(slots)) {
+      const name = `confirm_detail_${slot}`;
+      if (!prompts.has(name)) continue;
+      const shown = Array.isArray(value) ? value.join(", ") : value;
+      parts.push(renderPrompt(name, { [slot]: shown }, data));
+    }
+    if (prompts.has("confirm_question")) parts.push(renderPrompt("confirm_question", {}, data));
+    return parts.join(" ");
+  }
+
+  // Shows the user what the route is about to do and waits for yes / no
+  // (see confirmation.js); nothing is sent to EasySystem yet
+  function askConfirmation(route, data, callback, turn) {
+    const summary = confirmationSummary(route, turn.slots, data);
+    const { token, expiresAt } = confirmations.issue(data, {
+      componentName: route.componentName,
+      slots: turn.slots,
+      text: turn.text,
+      summary,
+    });
+    enhancedLogger.info(
+      "CONFIRMATION_REQUESTED",
+      { componentName: route.componentName, expiresAt, conversationId: conversationIdOf(data) },
+      turn.correlationId
+    );
+
+    return sendReply(data, callback, {
+      contentType: "quick_replies",
+      text: summary,
+      extras: {
+        quickReplies: Object.values(CONFIRM_ANSWERS).map((answer) => ({
+          title: confirmLabel(data, answer),
+          payload: confirmPayload(token, answer),
+        })),
+      },
+    });
+  }
+
+  /**
+   * Answers a pending confirmation. Returns false when the message is not a
+   * yes or no, true once the answer is handled; the confirmation is dropped
+   * either way, so only the very next turn can confirm it.
+   */
+  function handleConfirmation(data, callback, correlationId) {
+    const labels = {
+      [CONFIRM_ANSWERS.YES]: [confirmLabel(data, CONFIRM_ANSWERS.YES)],
+      [CONFIRM_ANSWERS.NO]: [confirmLabel(data, CONFIRM_ANSWERS.NO)],
+    };
+    const { outcome, pending } = confirmations.answer(data, labels);
+    const entry = pending && gatedRoutes.get(pending.componentName);
+    enhancedLogger.info(
+      "CONFIRMATION_ANSWERED",
+      { componentName: pending?.componentName, outcome, conversationId: conversationIdOf(data) },
+      correlationId
+    );
+    if (!entry || outcome === CONFIRM_OUTCOMES.ABANDONED) return false;
+
+    if (outcome !== CONFIRM_OUTCOMES.CONFIRMED) {
+      const name = outcome === CONFIRM_OUTCOMES.EXPIRED ? "confirm_expired" : "confirm_declined";
+      sendPrompt(data, callback, name);
+      return true;
+    }
+
+    resumeRoute(entry, data, callback, {
+      route: entry.route,
+      slots: pending.slots,
+      text: pending.text,
+      correlationId,
+      confirmation: pending.token,
+    });
+    return true;
+  }
+
+  // ---- Step-up verification ------------------------------------------------------------------
+
+  // Codes and lockouts belong to the verified user; null for an anonymous caller
+  function stepUpSubject(data) {
+    const identity = identityOf(data);
+    return identity?.verified && identity.USER_ID ? identity.USER_ID : null;
+  }
+
+  function sendPrompt(data, callback, name, values = {}) {
+    return sendReply(data, callback, {
+      contentType: "text/plain",
+      text: renderPrompt(name, values, data),
+    });
+  }
+
+  // Sends a one-time code and asks the user for it (see step-up.js)
+  function challengeStepUp(route, data, callback, turn, subject) {
+    const { correlationId } = turn;
+    const meta = { componentName: route.componentName, conversationId: conversationIdOf(data) };
+
+    return stepUp
+      .challenge(data, {
+        subject,
+        conversationId: conversationIdOf(data),
+        componentName: route.componentName,
+        slots: turn.slots,
+        text: turn.text,
+      })
+      .then(
+        ({ destination }) => {
+          enhancedLogger.info("STEP_UP_CHALLENGED", meta, correlationId);
+          return destination
+            ? sendPrompt(data, callback, "step_up_sent_to", { destination })
+            : sendPrompt(data, callback, "step_up_sent");
+        },
+        (err) => {
+          if (err?.code === "STEP_UP_LOCKED") {
+            enhancedLogger.warn(
+              "STEP_UP_LOCKED_OUT",
+              { ...meta, lockedUntil: err.lockedUntil },
+              correlationId
+            );
+            return sendPrompt(data, callback, "step_up_locked");
+          }
+          enhancedLogger.error(
+            "STEP_UP_DELIVERY_FAILED",
+            { ...meta, error: err?.message || String(err) },
+            correlationId
+          );
+          return sendPrompt(data, callback, "step_up_unavailable");
+        }
+      );
+  }
+
+  /**
+   * Checks a code against the open step-up challenge. Returns false when the
+   * message is not a code (the challenge is dropped and the turn goes on as
+   * usual), true once it is handled.
+   */
+  function handleStepUp(data, callback, correlationId) {
+    if (!stepUp) {
+      delete data.context.session.BotUserSession.stepUpChallenge;
+      return false;
+    }
+    const { outcome, challenge, attemptsLeft } = stepUp.answer(data);
+    const entry = challenge && gatedRoutes.get(challenge.componentName);
+    enhancedLogger.info(
+      "STEP_UP_ANSWERED",
+      { componentName: challenge?.componentName, outcome, conversationId: conversationIdOf(data) },
+      correlationId
+    );
+    if (!entry || outcome === STEP_UP_OUTCOMES.ABANDONED) return false;
+
+    if (outcome === STEP_UP_OUTCOMES.INVALID) {
+      sendPrompt(data, callback, "step_up_invalid", { attemptsLeft });
+    } else if (outcome === STEP_UP_OUTCOMES.LOCKED) {
+      sendPrompt(data, callback, "step_up_locked");
+    } else if (outcome === STEP_UP_OUTCOMES.EXPIRED) {
+      sendPrompt(data, callback, "step_up_expired");
+    } else {
+      resumeRoute(entry, data, callback, {
+        route: entry.route,
+        slots: challenge.slots,
+        text: challenge.text,
+        correlationId,
+      });
+    }
+    return true;
+  }
+
+  // ---- Gated routes --------------------------------------------------------------------------
+
+  // Takes the turn when the route still needs step-up or confirmation; false when it may run
+  function gateRoute(route, data, callback, turn) {
+    if (route.stepUp) {
+      const subject = stepUpSubject(data);
+      if (!subject) {
+        enhancedLogger.warn(
+          "STEP_UP_SIGN_IN_REQUIRED",
+          { componentName: route.componentName, conversationId: conversationIdOf(data) },
+          turn.correlationId
+        );
+        sendPrompt(data, callback, "not_authorized_sign_in");
+        return true;
+      }
+      if (!stepUp.isVerified(data, subject)) {
+        challengeStepUp(route, data, callback, turn, subject);
+        return true;
+      }
+    }
+    if (route.confirm && !turn.confirmation) {
+      askConfirmation(route, data, callback, turn);
+      return true;
+    }
+    return false;
+  }
+
+  // Runs a gated route from a user message once a gate has passed. The role may
+  // have changed since the webhook fired, and a later gate may still be due.
+  function resumeRoute({ route, integration, contextEntities }, data, callback, turn) {
+    const access = authorizer.check(route, route.permission ? identityOf(data) : undefined);
+    if (!access.allowed) return denyRoute(route, data, callback, access, turn.correlationId);
+    if (gateRoute(route, data, callback, turn)) return undefined;
+
+    return loadContextThen(
+      route,
+      data,
+      callback,
+      () => integration(data, callback, turn),
+      turn.correlationId,
+      contextEntities
+    );
+  }
+
+  // Ack now, deliver later. The webhook is answered before EasySystem is called;
+  // the result follows as a user message the integration sends itself, or, for
+  // hook delivery, by completing the pending webhook (sdk.respondToHook).
+  // BotUserSession.pendingTurn carries the ACK's correlation id through to the
+  // delivery, and a failed background job is delivered too: as a transfer for
+  // message delivery, as pendingTurn.status "failed" for hook delivery.
+  function runAsyncRoute(route, data, callback, turn, start) {
+    const { correlationId } = turn;
+    const hook = route.delivery === DELIVERY_MODES.HOOK;
+    const meta = {
+      componentName: route.componentName,
+      delivery: route.delivery,
+      conversationId: conversationIdOf(data),
+    };
+
+    data.context.session.BotUserSession.pendingTurn = {
+      correlationId,
+      componentName: route.componentName,
+      delivery: route.delivery,
+      status: "pending",
+      ackedAt: new Date().toISOString(),
+    };
+    if (hook) {
+      data._via_webhook = true; // script-style: the result goes back through the hook
+      callback(null, new sdk.AsyncResponse());
+    } else {
+      ackWebhook(data, callback);
+    }
+    enhancedLogger.info("WEBHOOK_ACKED_ASYNC", meta, correlationId);
+
+    let delivered = false;
+    const deliver = (err, updated) => {
+      if (delivered) return;
+      delivered = true;
+      // sdk senders call back with their own result; integrations with data
+      const result = updated?.context?.session ? updated : data;
+      const pending = result.context.session.BotUserSession.pendingTurn || {};
+      pending.status = err ? "failed" : "delivered";
+      pending.deliveredAt = new Date().toISOString();
+
+      if (err) {
+        pending.error = err.code || err.message || String(err);
+        enhancedLogger.error("ASYNC_DELIVERY_FAILED", { ...meta, error: pending.error }, correlationId);
+      } else {
+        enhancedLogger.info("ASYNC_DELIVERED", meta, correlationId);
+      }
+
+      if (hook) return sdk.respondToHook(result);
+      if (err) return triggerAgentTransfer(result, () => {}, TRANSFER_REASONS.API_ERROR);
+    };
+
+    setImmediate(() => {
+      deadlines.start(data); // the webhook is answered; the user's wait starts the clock now
+      try {
+        Promise.resolve(start(deliver)).catch(deliver);
+      } catch (error) {
+        deliver(error);
+      }
+    });
+  }
+
+  /**
+   * Builds an on_webhook handler that dispatches from a route registry.
+   *
+   * options:
+   *   routes            - registry from createRouteRegistry()
+   *   integrations      - { name: (data, callback, turn) => ... }
+   *   contextEntities(data) - entityMap for strict context loads
+   *
+   * Integrations receive turn = { route, slots, text, correlationId }, where
+   * slots are validated and normalized (slot-validation.js) and text is the
+   * route's prompt template rendered from them. A turn with missing or invalid
+   * slots never reaches the integration: the user is re-prompted instead. Neither
+   * does a turn whose caller lacks the route's permission (see denyRoute), nor,
+   * on a route that declares `stepUp` or `confirm`, one the user has not
+   * verified or confirmed yet (see gateRoute; turn.confirmation then carries
+   * the confirmed token).
+   */
+  function createWebhookHandler({ routes, integrations, contextEntities }) {
+    for (const route of routes.routes()) {
+      if (typeof integrations[route.integration] !== "function") {
+        throw new TypeError(
+          `${botName}: route "${route.componentName}" points at unknown integration "${route.integration}"`
+        );
+      }
+      if (route.delivery === DELIVERY_MODES.HOOK && typeof sdk.respondToHook !== "function") {
+        throw new TypeError(
+          `${botName}: route "${route.componentName}" needs sdk.respondToHook for hook delivery`
+        );
+      }
+      if (route.prompt && !prompts.has(route.prompt)) {
+        throw new TypeError(
+          `${botName}: route "${route.componentName}" points at unknown prompt template "${route.prompt}"`
+        );
+      }
+      if (route.confirm && !prompts.has(route.confirm)) {
+        throw new TypeError(
+          `${botName}: route "${route.componentName}" points at unknown confirm template "${route.confirm}"`
+        );
+      }
+      if (route.confirm || route.stepUp) {
+        gatedRoutes.set(route.componentName, {
+          route,
+          integration: integrations[route.integration],
+          contextEntities,
+        });
+      }
+    }
+    const unverified = routes.routes().filter((route) => route.stepUp && !stepUp);
+    if (unverified.length) {
+      throw new TypeError(
+        `${botName}: routes ${unverified.map((r) => `"${r.componentName}"`).join(", ")} need step-up; configure botConfig.stepUp or the stepUpProvider option`
+      );
+    }
+
+    return function on_webhook(requestId, data, componentName, callback) {
+      const correlationId = enhancedLogger.generateCorrelationId();
+      deadlines.start(data);
+      responses.start(data);
+
+      try {
+        if (typeof onTurnStart === "function") onTurnStart(data);
+        console.log("component name: " + componentName);
+
+        const route = routes.get(componentName);
+        if (!route || !allowsBusinessUnit(route, businessUnitOf(data))) {
+          // Not our route — hand control back to the platform
+          return sdk.sendWebhookResponse(data, callback);
+        }
+
+        // A dialog webhook running means the Kore dialog has the conversation back
+        const state = ownership.stateOf(data);
+        if (state === STATES.TRANSFER_PENDING || state === STATES.AGENT_CONNECTED) {
+          ownership.transition(data, STATES.KORE_DIALOG, {
+            reason: "dialog_resumed",
+            correlationId,
+          });
+        }
+
+        const access = authorizer.check(route, route.permission ? identityOf(data) : undefined);
+        if (!access.allowed) {
+          return denyRoute(route, data, callback, access, correlationId);
+        }
+        delete data.context.session.BotUserSession.authorizationDenied;
+        delete data.context.session.BotUserSession.authorizationMessage;
+
+        const checked = validator.validate(route, resolveSlots(route, data).slots, {
+          businessUnit: businessUnitOf(data),
+          session: data.context.session.BotUserSession,
+        });
+        if (checked.missing.length || checked.invalid.length) {
+          return repromptFields(route, data, callback, checked, correlationId);
+        }
+        const { slots } = checked;
+
+        let text;
+        try {
+          text = route.prompt ? renderPrompt(route.prompt, slots, data) : undefined;
+        } catch (err) {
+          if (err.code !== "PROMPT_INCOMPLETE") throw err;
+          return repromptFields(route, data, callback, err, correlationId);
+        }
+        delete data.context.session.BotUserSession.missingFields;
+        delete data.context.session.BotUserSession.repromptMessage;
+
+        const turn = { route, slots, text, correlationId };
+        handoffs.recordRoute(data, {
+          componentName,
+          integration: route.integration,
+          slots,
+          correlationId,
+        });
+        if (gateRoute(route, data, callback, turn)) return undefined;
+
+        const integration = integrations[route.integration];
+        const proceed = (cb) => (run) =>
+          loadContextThen(route, data, cb, run, correlationId, contextEntities);
+
+        if (route.ack === ACK_MODES.SCRIPT) {
+          data._via_webhook = true;
+          return proceed(callback)(() =>
+            integration(data, (err, updated) => {
+              if (err) console.error(`${route.integration} integration error:`, err);
+              return ackWebhook(updated || data, callback); // ACK exactly once
+            }, turn)
+          );
+        }
+
+        if (route.ack === ACK_MODES.ASYNC || route.ack === ACK_MODES.IMMEDIATE) {
+          return runAsyncRoute(route, data, callback, turn, (deliver) =>
+            proceed(deliver)(() => integration(data, deliver, turn))
+          );
+        }
+
+        return proceed(callback)(() => integration(data, callback, turn));
+      } catch (error) {
+        enhancedLogger.error(
+          "WEBHOOK_PROCESSING_ERROR",
+          { error: error.message, componentName, conversationId: conversationIdOf(data) },
+          correlationId
+        );
+        return triggerAgentTransfer(data, callback, TRANSFER_REASONS.API_ERROR);
+      }
+    };
+  }
+
+  function on_client_event(requestId, data, callback) {
+    return callback(null, data);
+  }
+
+  async function getHealthStatus() {
+    const status = await healthMonitor.getHealthStatus();
+    return {
+      ...status,
+      easySystemReplies: replies.getMetrics(),
+      saveOutbox: outbox.getStatus(),
+      circuitBreakers: breakers.getStatus(),
+      transfers: { ...handoffs.getStats(), ...transferPolicy.getStats() },
+      responses: responses.getStats(),
+      authorization: authorizer.getStats(),
+      confirmations: confirmations.getStats(),
+      stepUp: stepUp ? stepUp.getStats() : { enabled: false },
+    };
+  }
+
+  function cleanup() {
+    sessionManager.cleanup();
+    healthMonitor.stop();
+    outbox.stop();
+    enhancedLogger.info(`${botName} cleanup completed`);
+  }
+
+  healthMonitor.start();
+  outbox.start();
+
+  return {
+    botName,
+    botConfig,
+    urls,
+    sdk,
+    logger,
+    apiClient,
+    enhancedLogger,
+    errorHandler,
+    circuitBreaker,
+    breakers,
+    deadlines,
+    responses,
+    transferPolicy,
+    authorizer,
+    stepUp,
+    sessionManager,
+    healthMonitor,
+    ownership,
+
+    prompts,
+    readReply,
+    normalizeReply: replies.normalize,
+    renderReply,
+    sendReply,
+    businessUnitOf,
+    conversationIdOf,
+    localeOf,
+    renderPrompt,
+    headersFor,
+    makeRequestData,
+    makeContextData,
+    makeMessageSaveData,
+
+    triggerAgentTransfer,
+    transferFromHook,
+    transferMessageFor,
+    prepareHandoff,
+    processEasySystemResponse,
+    safeEasySystemCall,
+    safeMessageSave,
+    outbox,
+    updateESContextThen,
+    easySendText,
+    sendContextToEasySystem,
+
+    createWebhookHandler,
+    on_client_event,
+    on_user_message,
+    on_bot_message,
+    getHealthStatus,
+    cleanup,
+  };
+}
+
+module.exports = {
+  createAdapterCore,
+  OWNERSHIP: STATES,
+  conversationIdOf,
+  DEFAULT_TRANSFER_MESSAGE,
+  HOLD_MESSAGE,
+  TRANSFER_REASONS,
+  SEND_API,
+  SAVE_API,
+  CONTEXT_API,
+  SAVE_OUTCOMES,
+};
@@ -0,0 +1,114 @@
+// Role-based authorization for account-administration routes.
+// A route may declare the permission it needs (route-registry.js, `permission`);
+// before its integration runs, the caller's account role from the identity
+// context (identity-context.js) is checked against a permission matrix.
+//
+// The matrix comes from botConfig.authorization:
+//
+//   authorization: {
+//     roles: {
+//       admin:    ["add_user", "manage_users", "modify_shipping_location", "change_shipping_address"],
+//       approver: ["change_shipping_address"],
+//       buyer:    [],
+//     },
+//     onDenied: "explain" | "contact_admin",
+//   }
+//
+// Roles are matched case-insensitively; a role missing from the matrix has no
+// permissions, and so has an anonymous session. A denied turn never reaches
+// the integration: the user is told why (onDenied "explain") or pointed at
+// their account administrator ("contact_admin"); anonymous users are asked to
+// sign in.
+
+const PERMISSIONS = Object.freeze({
+  ADD_USER: "add_user",
+  MANAGE_USERS: "manage_users",
+  MODIFY_SHIPPING_LOCATION: "modify_shipping_location",
+  CHANGE_SHIPPING_ADDRESS: "change_shipping_address",
+});
+
+const DENIAL_MODES = Object.freeze({
+  EXPLAIN: "explain", // tell the user why
+  CONTACT_ADMIN: "contact_admin", // point the user at their account admin
+});
+
+// Used when botConfig.authorization has no roles: only admins administer
+const DEFAULT_ROLES = Object.freeze({
+  admin: Object.values(PERMISSIONS),
+  approver: [],
+  buyer: [],
+});
+
+const DECISIONS = Object.freeze({
+  GRANTED: "granted",
+  ANONYMOUS: "anonymous",
+  ROLE_MISSING: "role_missing",
+  ROLE_NOT_PERMITTED: "role_not_permitted",
+});
+
+function normalizeRole(role) {
+  return role === undefined || role === null ? "" : String(role).trim().toLowerCase();
+}
+
+/**
+ * Creates the authorizer.
+ *
+ * options: roles, onDenied - see file header
+ */
+function createAuthorizer(options = {}) {
+  const onDenied = options.onDenied || DENIAL_MODES.EXPLAIN;
+  if (!Object.values(DENIAL_MODES).includes(onDenied)) {
+    throw new TypeError(
+      `authorization.onDenied must be one of ${Object.values(DENIAL_MODES).join(", ")}`
+    );
+  }
+
+  const denied = {};
+  const matrix = new Map();
+  for (const [role, permissions] of Object.entries(options.roles || DEFAULT_ROLES)) {
+    if (!Array.isArray(permissions)) {
+      throw new TypeError(`authorization.roles.${role} must be a list of permissions`);
+    }
+    matrix.set(normalizeRole(role), new Set(permissions));
+  }
+
+  function can(role, permission) {
+    return Boolean(matrix.get(normalizeRole(role))?.has(permission));
+  }
+
+  /**
+   * Checks a route against the caller's identity ({ ROLE, loggedIn }):
+   *   { allowed, decision, permission, role, onDenied }
+   * Routes without a permission are always allowed.
+   */
+  function check(route, identity = {}) {
+    const { permission } = route;
+    const role = normalizeRole(identity.ROLE) || null;
+    const result = (allowed, decision) => ({ allowed, decision, permission, role, onDenied });
+
+    if (!permission) return result(true, DECISIONS.GRANTED);
+
+    let decision = DECISIONS.GRANTED;
+    if (!identity.loggedIn) decision = DECISIONS.ANONYMOUS;
+    else if (!role) decision = DECISIONS.ROLE_MISSING;
+    else if (!can(role, permission)) decision = DECISIONS.ROLE_NOT_PERMITTED;
+
+    if (decision === DECISIONS.GRANTED) return result(true, decision);
+    denied[decision] = (denied[decision] || 0) + 1;
+    return result(false, decision);
+  }
+
+  function getStats() {
+    return { denied: { ...denied } };
+  }
+
+  return { check, can, onDenied, getStats };
+}
+
+module.exports = {
+  PERMISSIONS,
+  DENIAL_MODES,
+  DECISIONS,
+  DEFAULT_ROLES,
+  createAuthorizer,
+};
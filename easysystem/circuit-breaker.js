@@ -0,0 +1,144 @@
+// In-process circuit breaker.
+// Used when ../start/shared/circuit-breaker is not available, so the fallback
+// path still sheds load from a dead EasySystem backend instead of sending it
+// every user turn. State is kept per key (see service-breakers.js):
+//
+//   closed     calls go through; failures inside windowMs are counted and
+//              failureThreshold of them open the breaker
+//   open       calls are refused until cooldownMs has passed
+//   half-open  up to halfOpenMaxCalls probes go through; a success closes the
+//              breaker, a failure opens it again for another cooldown. A probe
+//              nobody reports back on within cooldownMs counts as a failure,
+//              so a lost outcome cannot leave the breaker half-open for good
+//
+// State lives in this process only; each bot instance trips on its own.
+
+const STATES = Object.freeze({
+  CLOSED: "closed",
+  OPEN: "open",
+  HALF_OPEN: "half-open",
+});
+
+const DEFAULT_SETTINGS = Object.freeze({
+  failureThreshold: 5, // failures within windowMs that open the breaker
+  windowMs: 60 * 1000,
+  cooldownMs: 30 * 1000, // open -> half-open after this long
+  halfOpenMaxCalls: 1, // probes allowed while half-open
+});
+
+/**
+ * Creates a breaker with the same surface as the shared-kit one, plus
+ * configure(key, settings) and getState(key).
+ *
+ * options:
+ *   defaults          - settings for keys that were never configured
+ *   now               - clock, for tests
+ *   onStateChange     - (key, from, to) after every state change
+ */
+function createCircuitBreaker({ defaults = {}, now = Date.now, onStateChange } = {}) {
+  const circuits = new Map();
+  const settings = new Map();
+
+  function settingsOf(key) {
+    return { ...DEFAULT_SETTINGS, ...defaults, ...settings.get(key) };
+  }
+
+  function circuitOf(key) {
+    if (!circuits.has(key)) {
+      circuits.set(key, {
+        state: STATES.CLOSED,
+        failures: [],
+        openedAt: 0,
+        probes: 0,
+        probeStartedAt: 0,
+      });
+    }
+    return circuits.get(key);
+  }
+
+  function setState(key, circuit, to) {
+    const from = circuit.state;
+    if (from === to) return;
+    circuit.state = to;
+    circuit.probes = 0;
+    if (to === STATES.OPEN) circuit.openedAt = now();
+    if (to === STATES.CLOSED) circuit.failures = [];
+
+    if (to === STATES.OPEN) {
+      console.warn(`🔌 Circuit ${key} open for ${settingsOf(key).cooldownMs}ms`);
+    } else if (to === STATES.CLOSED) {
+      console.log(`🔌 Circuit ${key} closed`);
+    }
+    if (typeof onStateChange === "function") onStateChange(key, from, to);
+  }
+
+  // Open circuits whose cool-down is over move to half-open on first look;
+  // half-open ones whose probe went unanswered for a cool-down open again
+  function refresh(key, circuit) {
+    const { cooldownMs } = settingsOf(key);
+    if (
+      circuit.state === STATES.HALF_OPEN &&
+      circuit.probes > 0 &&
+      now() - circuit.probeStartedAt >= cooldownMs
+    ) {
+      console.warn(`🔌 Circuit ${key} probe never reported back`);
+      setState(key, circuit, STATES.OPEN);
+    }
+    if (circuit.state === STATES.OPEN && now() - circuit.openedAt >= cooldownMs) {
+      setState(key, circuit, STATES.HALF_OPEN);
+    }
+    return circuit;
+  }
+
+  function configure(key, keySettings = {}) {
+    settings.set(key, { ...settings.get(key), ...keySettings });
+  }
+
+  function canExecute(key) {
+    const circuit = refresh(key, circuitOf(key));
+    if (circuit.state === STATES.CLOSED) return true;
+    if (circuit.state === STATES.HALF_OPEN && circuit.probes < settingsOf(key).halfOpenMaxCalls) {
+      if (circuit.probes === 0) circuit.probeStartedAt = now();
+      circuit.probes++;
+      return true;
+    }
+    return false;
+  }
+
+  function recordSuccess(key) {
+    const circuit = circuitOf(key);
+    if (circuit.state === STATES.HALF_OPEN) setState(key, circuit, STATES.CLOSED);
+  }
+
+  function recordFailure(key) {
+    const circuit = refresh(key, circuitOf(key));
+    if (circuit.state === STATES.HALF_OPEN) {
+      setState(key, circuit, STATES.OPEN);
+      return;
+    }
+    if (circuit.state === STATES.OPEN) return;
+
+    const { failureThreshold, windowMs } = settingsOf(key);
+    const at = now();
+    circuit.failures = circuit.failures.filter((t) => at - t < windowMs);
+    circuit.failures.push(at);
+    if (circuit.failures.length >= failureThreshold) setState(key, circuit, STATES.OPEN);
+  }
+
+  function getState(key) {
+    return refresh(key, circuitOf(key)).state;
+  }
+
+  function reset(key) {
+    if (key === undefined) circuits.clear();
+    else circuits.delete(key);
+  }
+
+  return { configure, canExecute, recordSuccess, recordFailure, getState, reset };
+}
+
+module.exports = {
+  STATES,
+  DEFAULT_SETTINGS,
+  createCircuitBreaker,
+};
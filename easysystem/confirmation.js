@@ -0,0 +1,130 @@
+// Confirmation step for destructive order actions.
+// A route that declares `confirm` (route-registry.js) does not call
+// EasySystem when its webhook fires. The user is shown a summary of what is
+// about to happen and asked yes or no; only a "yes" to a live confirmation
+// runs the integration. A misheard order number then costs the user a "no"
+// instead of a cancelled order.
+//
+// The pending confirmation waits in BotUserSession.pendingConfirmation:
+//
+//   {
+//     token,                      // random; the quick replies carry it
+//     componentName,              // route to run on "yes"
+//     slots, text,                // the turn as the webhook built it
+//     summary,                    // what the user was shown
+//     issuedAt, expiresAt,
+//   }
+//
+// Settings come from botConfig.confirmation: { ttlSeconds: 300 }. An expired
+// token, or a button from an older confirmation, runs nothing.
+
+const crypto = require("crypto");
+
+const DEFAULT_TTL_SECONDS = 300;
+
+// Quick-reply payload: "confirm_action:<token>:yes"
+const PAYLOAD_PREFIX = "confirm_action:";
+
+const ANSWERS = Object.freeze({
+  YES: "yes",
+  NO: "no",
+});
+
+const OUTCOMES = Object.freeze({
+  CONFIRMED: "confirmed",
+  DECLINED: "declined",
+  EXPIRED: "expired",
+  ABANDONED: "abandoned", // the user said something else; nothing runs
+});
+
+function payloadFor(token, answer) {
+  return `${PAYLOAD_PREFIX}${token}:${answer}`;
+}
+
+/**
+ * Creates the confirmation store for one bot.
+ *
+ * options:
+ *   ttlSeconds - how long a confirmation stays live (default 300)
+ *   now        - clock, for tests
+ */
+function createConfirmations({ ttlSeconds = DEFAULT_TTL_SECONDS, now = Date.now } = {}) {
+  if (!(Number(ttlSeconds) > 0)) {
+    throw new TypeError("confirmation.ttlSeconds must be a positive number");
+  }
+  const outcomes = { issued: 0 };
+
+  function count(outcome) {
+    outcomes[outcome] = (outcomes[outcome] || 0) + 1;
+  }
+
+  // Leaves a new pending confirmation in the session (replacing any older one)
+  function issue(data, { componentName, slots, text, summary }) {
+    const issuedAt = now();
+    const pending = {
+      token: crypto.randomBytes(16).toString("hex"),
+      componentName,
+      slots,
+      text,
+      summary,
+      issuedAt: new Date(issuedAt).toISOString(),
+      expiresAt: new Date(issuedAt + Number(ttlSeconds) * 1000).toISOString(),
+    };
+    data.context.session.BotUserSession.pendingConfirmation = pending;
+    count("issued");
+    return pending;
+  }
+
+  /**
+   * Reads the user's answer to the pending confirmation and clears it:
+   *   { outcome, pending } - outcome is one of OUTCOMES, or null with nothing pending
+   *
+   * labels: { yes: [...], no: [...] } - extra words that count as an answer
+   * (the quick-reply titles); payloads and plain yes / no always count.
+   */
+  function answer(data, labels = {}) {
+    const session = data.context.session.BotUserSession;
+    const pending = session.pendingConfirmation;
+    delete session.pendingConfirmation;
+    if (!pending) return { outcome: null, pending: null };
+
+    const message = String(data.message || "").trim().toLowerCase();
+    const matches = (answerOf) =>
+      message === answerOf ||
+      (labels[answerOf] || []).some((label) => String(label).toLowerCase() === message);
+
+    let given = null;
+    let token = pending.token;
+    if (message.startsWith(PAYLOAD_PREFIX)) {
+      [token, given] = message.slice(PAYLOAD_PREFIX.length).split(":");
+    } else if (matches(ANSWERS.YES)) {
+      given = ANSWERS.YES;
+    } else if (matches(ANSWERS.NO)) {
+      given = ANSWERS.NO;
+    }
+
+    let outcome;
+    if (!Object.values(ANSWERS).includes(given)) outcome = OUTCOMES.ABANDONED;
+    else if (given === ANSWERS.NO) outcome = OUTCOMES.DECLINED;
+    else if (token !== pending.token || now() >= Date.parse(pending.expiresAt)) {
+      outcome = OUTCOMES.EXPIRED;
+    } else outcome = OUTCOMES.CONFIRMED;
+
+    count(outcome);
+    return { outcome, pending };
+  }
+
+  function getStats() {
+    return { ...outcomes };
+  }
+
+  return { issue, answer, getStats };
+}
+
+module.exports = {
+  ANSWERS,
+  OUTCOMES,
+  PAYLOAD_PREFIX,
+  payloadFor,
+  createConfirmations,
+};
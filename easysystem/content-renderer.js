@@ -0,0 +1,171 @@
+// Rich content rendering for EasySystem replies.
+// EasySystem tags each reply with a contentType. This module maps the ones we
+// know to Kore message templates; the reply text always stays as the
+// plain-text fallback for channels without template support.
+//
+//   contentType     structured payload (reply.extras or JSON in reply.text)
+//   stores          { stores: [{ id, name, address, hours, phone, distance }] }
+//   tracking        { tracking: { orderNumber, status, events: [{ status, date, location }] } }
+//   quick_replies   { quickReplies: ["Yes", { title, payload }] }
+//
+// Any reply may also carry quickReplies; they are attached as buttons to plain
+// text replies.
+
+const DEFAULT_TEMPLATE_CHANNELS = ["rtm", "web", "webSDK"];
+const MAX_CAROUSEL_ITEMS = 10;
+
+// ES may put the structured part in an extra field or JSON-encode it in text
+function payloadOf(reply, key) {
+  if (reply?.extras?.[key] !== undefined) return reply.extras[key];
+  if (typeof reply?.text === "string" && /^\s*[[{]/.test(reply.text)) {
+    try {
+      const parsed = JSON.parse(reply.text);
+      return parsed?.[key];
+    } catch (e) {
+      return undefined;
+    }
+  }
+  return undefined;
+}
+
+function isJsonText(text) {
+  return typeof text === "string" && /^\s*[[{]/.test(text);
+}
+
+function formatHours(hours) {
+  if (!hours) return "";
+  if (typeof hours === "string") return hours;
+  return Object.entries(hours)
+    .map(([day, span]) => `${day}: ${span}`)
+    .join(", ");
+}
+
+function formatAddress(address) {
+  if (!address) return "";
+  if (typeof address === "string") return address;
+  return [address.line1, address.line2, address.city, address.state, address.zip]
+    .filter(Boolean)
+    .join(", ");
+}
+
+function toQuickReplies(items) {
+  return (Array.isArray(items) ? items : [])
+    .map((item) =>
+      typeof item === "string"
+        ? { content_type: "text", title: item, payload: item }
+        : item?.title
+          ? { content_type: "text", title: item.title, payload: item.payload || item.title }
+          : null
+    )
+    .filter(Boolean);
+}
+
+// ---- Renderers: reply -> { text, template } or null when the payload is unusable ----
+
+function renderStores(reply) {
+  const stores = payloadOf(reply, "stores");
+  if (!Array.isArray(stores) || !stores.length) return null;
+
+  const cards = stores.slice(0, MAX_CAROUSEL_ITEMS).map((store) => {
+    const buttons = [
+      { type: "postback", title: "Choose this store", payload: `store:${store.id || store.name}` },
+    ];
+    if (store.phone) buttons.push({ type: "phone_number", title: "Call", payload: store.phone });
+    const distance = typeof store.distance === "number" ? `${store.distance} mi` : store.distance;
+    return {
+      title: distance ? `${store.name} (${distance})` : store.name,
+      subtitle: [formatAddress(store.address), formatHours(store.hours)].filter(Boolean).join("\n"),
+      buttons,
+    };
+  });
+
+  const text = stores
+    .map(
+      (store, i) =>
+        `${i + 1}. ${store.name}` +
+        (store.address ? ` - ${formatAddress(store.address)}` : "") +
+        (store.hours ? ` (${formatHours(store.hours)})` : "")
+    )
+    .join("\n");
+
+  return {
+    text: isJsonText(reply.text) ? text : reply.text || text,
+    template: { type: "template", payload: { template_type: "carousel", elements: cards } },
+  };
+}
+
+function renderTracking(reply) {
+  const tracking = payloadOf(reply, "tracking");
+  if (!tracking || typeof tracking !== "object") return null;
+
+  const events = Array.isArray(tracking.events) ? tracking.events : [];
+  const heading = tracking.orderNumber
+    ? `Order ${tracking.orderNumber}: ${tracking.status || "in progress"}`
+    : tracking.status || "Order status";
+
+  const elements = [{ title: heading, subtitle: tracking.estimatedDelivery || "" }].concat(
+    events.map((e) => ({
+      title: e.status,
+      subtitle: [e.date, e.location].filter(Boolean).join(" · "),
+    }))
+  );
+
+  const text = [heading]
+    .concat(events.map((e) => `- ${[e.date, e.status, e.location].filter(Boolean).join(" ")}`))
+    .join("\n");
+
+  return {
+    text: isJsonText(reply.text) ? text : reply.text || text,
+    template: { type: "template", payload: { template_type: "list", elements } },
+  };
+}
+
+function renderQuickReplies(reply) {
+  const quickReplies = toQuickReplies(payloadOf(reply, "quickReplies"));
+  if (!quickReplies.length) return null;
+
+  const text = isJsonText(reply.text) ? payloadOf(reply, "text") || "" : reply.text || "";
+  return {
+    text: [text].concat(quickReplies.map((q) => `- ${q.title}`)).filter(Boolean).join("\n"),
+    template: {
+      type: "template",
+      payload: { template_type: "quick_replies", text, quick_replies: quickReplies },
+    },
+  };
+}
+
+const RENDERERS = {
+  stores: renderStores,
+  tracking: renderTracking,
+  quick_replies: renderQuickReplies,
+};
+
+/**
+ * Creates a renderer.
+ *
+ * options:
+ *   templateChannels - channels that can display Kore templates
+ *                      (default: rtm / web / webSDK)
+ */
+function createContentRenderer({ templateChannels = DEFAULT_TEMPLATE_CHANNELS } = {}) {
+  function channelOf(data) {
+    return data?.channel || data?.context?.session?.BotUserSession?.channels?.[0]?.type;
+  }
+
+  function supportsTemplates(data) {
+    return templateChannels.includes(channelOf(data));
+  }
+
+  // { text, template } for a normalized reply; template is null for plain text
+  function render(reply) {
+    const renderer = RENDERERS[reply?.contentType];
+    const rendered = (renderer && renderer(reply)) || renderQuickReplies(reply);
+    return rendered || { text: reply?.text || "", template: null };
+  }
+
+  return { render, supportsTemplates, channelOf };
+}
+
+module.exports = {
+  createContentRenderer,
+};
@@ -0,0 +1,143 @@
+// EasySystem reply normalization.
+// Every reply from the send API goes through normalize() so the bots read one
+// shape: { text, contentType, transfer, endConversation, extras }. Older and
+// newer EasySystem builds disagree on flag names (endConversation vs
+// conversationEnd) and occasionally send booleans as strings; that is all
+// absorbed here. Unknown fields are kept in `extras` rather than dropped, and
+// counted so new EasySystem fields show up in the health status.
+
+// field -> { type, default, aliases }
+const RESPONSE_SCHEMA = Object.freeze({
+  text: { type: "string", default: "" },
+  contentType: { type: "string", default: "text/plain" },
+  transfer: { type: "boolean", default: false },
+  endConversation: { type: "boolean", default: false, aliases: ["conversationEnd"] },
+});
+
+// A reply has to say something or hand the conversation on
+const REQUIRED_ANY_OF = ["text", "transfer", "endConversation"];
+
+function responseError(code, message, extra = {}) {
+  const err = new Error(message);
+  err.code = code;
+  return Object.assign(err, extra);
+}
+
+function coerce(value, type) {
+  if (type === "boolean") {
+    if (typeof value === "boolean") return value;
+    if (value === "true" || value === 1) return true;
+    if (value === "false" || value === 0 || value === "") return false;
+    return undefined;
+  }
+  if (type === "string") {
+    if (typeof value === "string") return value;
+    if (typeof value === "number") return String(value);
+    return undefined;
+  }
+  return value;
+}
+
+function createCounter() {
+  const counts = {};
+  return {
+    add: (key) => (counts[key] = (counts[key] || 0) + 1),
+    snapshot: () => ({ ...counts }),
+  };
+}
+
+/**
+ * Creates a normalizer with its own field metrics.
+ *
+ * normalize(raw) returns the typed reply, or throws ES_RESPONSE_INVALID when
+ * raw is not an object or carries none of text / transfer / endConversation.
+ */
+function createResponseNormalizer(schema = RESPONSE_SCHEMA) {
+  const known = new Set();
+  for (const [field, spec] of Object.entries(schema)) {
+    known.add(field);
+    (spec.aliases || []).forEach((alias) => known.add(alias));
+  }
+
+  const metrics = {
+    total: 0,
+    rejected: 0,
+    unknown: createCounter(),
+    missing: createCounter(),
+    invalid: createCounter(),
+    aliased: createCounter(),
+  };
+
+  function normalize(raw) {
+    metrics.total++;
+
+    if (!raw || typeof raw !== "object" || Array.isArray(raw)) {
+      metrics.rejected++;
+      throw responseError("ES_RESPONSE_INVALID", "EasySystem reply is not an object", {
+        received: raw === null ? "null" : typeof raw,
+      });
+    }
+
+    const reply = { extras: {} };
+    const present = [];
+
+    for (const [field, spec] of Object.entries(schema)) {
+      let source = field;
+      if (raw[field] === undefined) {
+        source = (spec.aliases || []).find((alias) => raw[alias] !== undefined) || field;
+        if (source !== field) metrics.aliased.add(`${source}->${field}`);
+      }
+
+      const value = raw[source];
+      if (value === undefined || value === null) {
+        metrics.missing.add(field);
+        reply[field] = spec.default;
+        continue;
+      }
+
+      const typed = coerce(value, spec.type);
+      if (typed === undefined) {
+        metrics.invalid.add(field);
+        reply[field] = spec.default;
+        continue;
+      }
+      reply[field] = typed;
+      present.push(field);
+    }
+
+    for (const [key, value] of Object.entries(raw)) {
+      if (known.has(key)) continue;
+      metrics.unknown.add(key);
+      reply.extras[key] = value;
+    }
+
+    if (!REQUIRED_ANY_OF.some((field) => present.includes(field) && reply[field])) {
+      metrics.rejected++;
+      throw responseError(
+        "ES_RESPONSE_INVALID",
+        `EasySystem reply carries none of ${REQUIRED_ANY_OF.join(", ")}`,
+        { fields: Object.keys(raw) }
+      );
+    }
+
+    return reply;
+  }
+
+  function getMetrics() {
+    return {
+      total: metrics.total,
+      rejected: metrics.rejected,
+      unknownFields: metrics.unknown.snapshot(),
+      missingFields: metrics.missing.snapshot(),
+      invalidFields: metrics.invalid.snapshot(),
+      aliasedFields: metrics.aliased.snapshot(),
+    };
+  }
+
+  return { normalize, getMetrics };
+}
+
+module.exports = {
+  RESPONSE_SCHEMA,
+  createResponseNormalizer,
+};
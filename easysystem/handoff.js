@@ -0,0 +1,123 @@
+// Structured agent handoff.
+// When the bot gives up, the live agent should not have to ask again what the
+// user already told it. Every transfer leaves BotUserSession.handoff:
+//
+//   {
+//     reason,                     // TRANSFER_REASONS code (transfer-messages.js)
+//     message,                    // what the user was told
+//     businessUnit,
+//     lastIntent, lastIntegration, // last webhook route this conversation ran
+//     entities: { orderNumber, zipCode, USER_ID, MASTER_ACCOUNT },
+//     transcript: [{ role, text, at }],   // last maxTurns turns, oldest first
+//     easySystemConversationId,
+//     correlationId, createdAt,
+//   }
+//
+// The transcript is kept in BotUserSession.recentTurns as the conversation
+// goes, so it survives between platform calls like the rest of the session.
+
+const DEFAULTS = {
+  maxTurns: 10,
+  maxTextLength: 500, // per turn; keeps the session small
+};
+
+function isPresent(value) {
+  return value !== undefined && value !== null && String(value).trim() !== "";
+}
+
+function firstPresent(...values) {
+  const value = values.find(isPresent);
+  return value === undefined ? null : value;
+}
+
+function sessionOf(data) {
+  return data?.context?.session?.BotUserSession;
+}
+
+// Order/ZIP from the last route's validated slots, account ids from the verified
+// identity (never the client-settable customData)
+function defaultEntities(data, identityOf) {
+  const session = sessionOf(data) || {};
+  const slots = session.lastTurn?.slots || {};
+  const { USER_ID = null, MASTER_ACCOUNT = null } =
+    (typeof identityOf === "function" && identityOf(data)) || {};
+  return {
+    orderNumber: firstPresent(slots.orderNumber, session.orderNumber),
+    zipCode: firstPresent(slots.zipCode, session.zipCode),
+    USER_ID,
+    MASTER_ACCOUNT,
+  };
+}
+
+/**
+ * Creates a handoff builder.
+ *
+ * options:
+ *   maxTurns, maxTextLength - see DEFAULTS
+ *   identityOf(data)        - verified { USER_ID, MASTER_ACCOUNT }; without it the
+ *                             handoff carries no account ids
+ *   entities(data)          - extra or overriding entities for a bot
+ */
+function createHandoffBuilder(options = {}) {
+  const maxTurns = options.maxTurns ?? DEFAULTS.maxTurns;
+  const maxTextLength = options.maxTextLength ?? DEFAULTS.maxTextLength;
+  const { identityOf, entities } = options;
+  const byReason = {};
+
+  function recordTurn(data, role, text) {
+    const session = sessionOf(data);
+    if (!session || !isPresent(text)) return;
+    const turns = Array.isArray(session.recentTurns) ? session.recentTurns : [];
+    turns.push({
+      role,
+      text: String(text).slice(0, maxTextLength),
+      at: new Date().toISOString(),
+    });
+    session.recentTurns = turns.slice(-maxTurns);
+  }
+
+  // The route about to run; its slots are the entities an agent needs most
+  function recordRoute(data, { componentName, integration, slots, correlationId }) {
+    const session = sessionOf(data);
+    if (!session) return;
+    session.lastTurn = {
+      componentName,
+      integration,
+      slots: { ...slots },
+      correlationId,
+      at: new Date().toISOString(),
+    };
+  }
+
+  // { reason, message, businessUnit, conversationId, correlationId } -> handoff object
+  function build(data, { reason, message, businessUnit, conversationId, correlationId }) {
+    const session = sessionOf(data) || {};
+    byReason[reason] = (byReason[reason] || 0) + 1;
+
+    return {
+      reason,
+      message,
+      businessUnit: businessUnit || null,
+      lastIntent: session.lastTurn?.componentName || null,
+      lastIntegration: session.lastTurn?.integration || null,
+      entities: {
+        ...defaultEntities(data, identityOf),
+        ...(typeof entities === "function" ? entities(data) : {}),
+      },
+      transcript: Array.isArray(session.recentTurns) ? session.recentTurns.slice(-maxTurns) : [],
+      easySystemConversationId: conversationId || null,
+      correlationId: correlationId || session.lastTurn?.correlationId || null,
+      createdAt: new Date().toISOString(),
+    };
+  }
+
+  function getStats() {
+    return { byReason: { ...byReason } };
+  }
+
+  return { recordTurn, recordRoute, build, getStats };
+}
+
+module.exports = {
+  createHandoffBuilder,
+};
@@ -0,0 +1,130 @@
+// First-party HTTP client for when the shared-kit ApiClientWrapper is missing.
+// Same options and call shape as the wrapper (post(url, body, options),
+// get(url, options)), with retries on top of axios:
+//
+//   - connect failures (the request never reached EasySystem) are retried
+//     for every request
+//   - 502 / 503 / 504, and 429 carrying Retry-After, are retried only for
+//     GETs and for posts that carry an Idempotency-Key header, since
+//     EasySystem may already have acted on the first attempt
+//
+// Delays grow exponentially from baseDelay, capped at maxDelay, with full
+// jitter. A Retry-After longer than maxDelay is not waited out. A request
+// given a deadline (epoch ms, see turn-deadline.js) shortens its attempts to
+// fit and does not retry past it.
+
+const crypto = require("crypto");
+const axios = require("axios");
+
+const IDEMPOTENCY_HEADER = "Idempotency-Key";
+
+const DEFAULTS = {
+  timeout: 30000,
+  maxRetries: 3,
+  baseDelay: 1000,
+  maxDelay: 10000,
+};
+
+// Request never got out: safe to send again whatever the method
+const CONNECT_ERRORS = new Set(["ECONNREFUSED", "ENOTFOUND", "EAI_AGAIN", "EHOSTUNREACH", "ENETUNREACH"]);
+const RETRYABLE_STATUS = new Set([502, 503, 504]);
+
+// Stable key for one logical call, so every retry and replay of it carries the same one
+function idempotencyKey(...parts) {
+  return crypto.createHash("sha256").update(JSON.stringify(parts)).digest("hex");
+}
+
+function hasIdempotencyKey(headers) {
+  return Object.keys(headers || {}).some((h) => h.toLowerCase() === IDEMPOTENCY_HEADER.toLowerCase());
+}
+
+// Retry-After is either seconds or an HTTP date
+function retryAfterMs(error) {
+  const value = error?.response?.headers?.["retry-after"];
+  if (value === undefined || value === null || value === "") return null;
+  const seconds = Number(value);
+  if (Number.isFinite(seconds)) return Math.max(0, seconds * 1000);
+  const at = Date.parse(value);
+  return Number.isNaN(at) ? null : Math.max(0, at - Date.now());
+}
+
+/**
+ * Returns { delayMs } when the failed attempt may be retried, otherwise null.
+ */
+function retryDecision(error, { idempotent, attempt, baseDelay, maxDelay }) {
+  const backoff = () => Math.floor(Math.random() * Math.min(maxDelay, baseDelay * 2 ** attempt));
+  const status = error?.response?.status;
+
+  if (!error?.response && CONNECT_ERRORS.has(error?.code)) return { delayMs: backoff() };
+  if (!idempotent) return null;
+  if (RETRYABLE_STATUS.has(status)) return { delayMs: backoff() };
+  if (status === 429) {
+    const wait = retryAfterMs(error);
+    return wait !== null && wait <= maxDelay ? { delayMs: wait } : null;
+  }
+  return null;
+}
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+/**
+ * Creates a client. Per request: headers, timeout, deadline.
+ *
+ * options:
+ *   timeout, maxRetries, baseDelay, maxDelay - see DEFAULTS
+ *   onRetry({ method, url, attempt, delayMs, status, code }) - called before each retry
+ *   transport - axios-compatible instance (default: axios)
+ */
+function createHttpClient(options = {}) {
+  const settings = { ...DEFAULTS, ...options };
+  const { onRetry, transport = axios } = options;
+
+  async function request(method, url, body, requestOptions = {}) {
+    const headers = requestOptions.headers || { "Content-Type": "application/json" };
+    const timeout = requestOptions.timeout || settings.timeout;
+    const { deadline } = requestOptions;
+    const idempotent = method === "get" || hasIdempotencyKey(headers);
+
+    for (let attempt = 0; ; attempt++) {
+      const config = {
+        timeout: deadline ? Math.max(1, Math.min(timeout, deadline - Date.now())) : timeout,
+        headers,
+      };
+      try {
+        return method === "get"
+          ? await transport.get(url, config)
+          : await transport.post(url, body, config);
+      } catch (error) {
+        const decision =
+          attempt < settings.maxRetries &&
+          retryDecision(error, { idempotent, attempt, ...settings });
+        if (!decision || (deadline && Date.now() + decision.delayMs >= deadline)) {
+          error.attempts = attempt + 1;
+          throw error;
+        }
+        if (typeof onRetry === "function") {
+          onRetry({
+            method,
+            url,
+            attempt: attempt + 1,
+            delayMs: decision.delayMs,
+            status: error?.response?.status,
+            code: error?.code,
+          });
+        }
+        await sleep(decision.delayMs);
+      }
+    }
+  }
+
+  return {
+    post: (url, body, requestOptions) => request("post", url, body, requestOptions),
+    get: (url, requestOptions) => request("get", url, undefined, requestOptions),
+  };
+}
+
+module.exports = {
+  IDEMPOTENCY_HEADER,
+  idempotencyKey,
+  createHttpClient,
+};
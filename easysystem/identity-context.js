@@ -0,0 +1,147 @@
+// Account identity for EasySystem calls.
+// The SBA bots tell EasySystem whose account the conversation is about. The
+// identity is resolved in one place, from the verified session token (see
+// session-auth.js), and sent as one header set:
+//
+//   business-unit             SA
+//   isLoggedIn                "true" | "false"
+//   x-custom-data             {"USER_ID":..,"MASTER_ACCOUNT":..,"ROLE":..}
+//   x-custom-data-timestamp   epoch seconds the headers were signed at
+//   x-custom-data-signature   v1=<hex HMAC-SHA256>
+//   x-custom-data-key-id      botConfig.identitySigning.keyId, when set
+//
+// Unverified conversations go out as anonymous, and x-custom-data says which it
+// was ("AUTH": "verified" | "anonymous"). The customData account fields and
+// login flags are never trusted: they are client-settable. Without
+// botConfig.sessionAuth every conversation is anonymous.
+//
+// The signature covers "<timestamp>.<business-unit>.<isLoggedIn>.<x-custom-data>"
+// with the secret shared with EasySystem (botConfig.identitySigning.secret), so
+// EasySystem can tell account ids that came from this adapter from ones a
+// client made up. EasySystem should reject stale timestamps (a few minutes is
+// plenty; retries of one call reuse its headers). A bot without the secret
+// fails to start unless botConfig.identitySigning.allowUnsigned is true.
+
+const crypto = require("crypto");
+const { NOT_CONFIGURED, createSessionAuth } = require("./session-auth");
+
+const SIGNATURE_VERSION = "v1";
+
+const IDENTITY_HEADERS = Object.freeze({
+  BUSINESS_UNIT: "business-unit",
+  LOGGED_IN: "isLoggedIn",
+  CUSTOM_DATA: "x-custom-data",
+  TIMESTAMP: "x-custom-data-timestamp",
+  SIGNATURE: "x-custom-data-signature",
+  KEY_ID: "x-custom-data-key-id",
+});
+
+function isPresent(value) {
+  return value !== undefined && value !== null && String(value).trim() !== "";
+}
+
+function signIdentity(secret, { timestamp, businessUnit, loggedIn, customData }) {
+  const payload = [timestamp, businessUnit, loggedIn, customData].join(".");
+  const digest = crypto.createHmac("sha256", secret).update(payload).digest("hex");
+  return `${SIGNATURE_VERSION}=${digest}`;
+}
+
+/**
+ * Creates the header builder. Throws without a secret unless allowUnsigned.
+ *
+ * options (botConfig.identitySigning):
+ *   secret         - HMAC secret shared with EasySystem
+ *   allowUnsigned  - true to send x-custom-data unsigned when there is no secret
+ *                    (an EasySystem that does not check signatures yet)
+ *   keyId          - sent along so EasySystem can pick the secret during rotation
+ *   auth           - session-auth resolver; without it every conversation is anonymous
+ *   now            - clock, for tests
+ */
+function createIdentityContext({ secret, allowUnsigned, keyId, auth, now = Date.now } = {}) {
+  if (!isPresent(secret)) {
+    if (allowUnsigned !== true) {
+      throw new TypeError(
+        "identitySigning.secret is required (set identitySigning.allowUnsigned: true to send x-custom-data unsigned)"
+      );
+    }
+    console.warn("⚠️  identitySigning.allowUnsigned is set; x-custom-data goes out unsigned");
+  }
+  if (!auth) {
+    console.warn("⚠️  sessionAuth not configured; every conversation is anonymous");
+  }
+
+  function resolve(data) {
+    return auth ? auth.resolve(data) : { ...NOT_CONFIGURED };
+  }
+
+  // Writes the verified login state over the client-settable session flags,
+  // so dialogs reading isLoggedIn see the same answer EasySystem gets
+  function apply(data) {
+    const identity = resolve(data);
+    const session = data?.context?.session;
+    const bus = session?.BotUserSession;
+    if (bus) {
+      bus.isLoggedIn = identity.loggedIn;
+      if (bus.userProfile) bus.userProfile.isLoggedIn = identity.loggedIn;
+      bus.authContext = {
+        verified: identity.verified,
+        anonymous: identity.anonymous,
+        USER_ID: identity.USER_ID,
+        MASTER_ACCOUNT: identity.MASTER_ACCOUNT,
+        ROLE: identity.ROLE,
+        reason: identity.reason || null,
+        expiresAt: identity.expiresAt || null,
+      };
+    }
+    if (session?.UserSession) session.UserSession.isLoggedIn = identity.loggedIn;
+    return identity;
+  }
+
+  // Identity headers for one call; the caller adds Content-Type and the like
+  function headers(data, businessUnit) {
+    const identity = resolve(data);
+    const customData = JSON.stringify({
+      USER_ID: identity.USER_ID,
+      MASTER_ACCOUNT: identity.MASTER_ACCOUNT,
+      ROLE: identity.ROLE,
+      AUTH: identity.verified ? "verified" : "anonymous",
+    });
+    const loggedIn = String(identity.loggedIn);
+    const signed = {
+      [IDENTITY_HEADERS.BUSINESS_UNIT]: businessUnit,
+      [IDENTITY_HEADERS.LOGGED_IN]: loggedIn,
+      [IDENTITY_HEADERS.CUSTOM_DATA]: customData,
+    };
+    if (!isPresent(secret)) return signed;
+
+    const timestamp = String(Math.floor(now() / 1000));
+    return {
+      ...signed,
+      [IDENTITY_HEADERS.TIMESTAMP]: timestamp,
+      [IDENTITY_HEADERS.SIGNATURE]: signIdentity(secret, {
+        timestamp,
+        businessUnit,
+        loggedIn,
+        customData,
+      }),
+      ...(isPresent(keyId) ? { [IDENTITY_HEADERS.KEY_ID]: String(keyId) } : {}),
+    };
+  }
+
+  return { resolve, apply, headers };
+}
+
+// Identity context from botConfig.identitySigning and botConfig.sessionAuth
+function identityFromConfig(botConfig) {
+  return createIdentityContext({
+    ...botConfig?.identitySigning,
+    auth: botConfig?.sessionAuth ? createSessionAuth(botConfig.sessionAuth) : undefined,
+  });
+}
+
+module.exports = {
+  IDENTITY_HEADERS,
+  signIdentity,
+  createIdentityContext,
+  identityFromConfig,
+};
@@ -0,0 +1,140 @@
+// Conversation-ownership state machine.
+// Who owns the conversation (the Kore dialog, EasySystem or a live agent) is
+// one state in BotUserSession.ownershipState. The legacy session flags the
+// dialogs still read — UserSession.owner, BotUserSession.transfer,
+// data.agent_transfer and the end-of-conversation flag — are derived from
+// that state here and nowhere else.
+//
+// A transfer can never fall back to EASYSYSTEM_OWNED; the dialog has to take
+// the conversation back (KORE_DIALOG) first.
+
+const STATES = Object.freeze({
+  KORE_DIALOG: "KORE_DIALOG",
+  EASYSYSTEM_OWNED: "EASYSYSTEM_OWNED",
+  TRANSFER_PENDING: "TRANSFER_PENDING",
+  AGENT_CONNECTED: "AGENT_CONNECTED",
+  ENDED: "ENDED",
+});
+
+const TRANSITIONS = Object.freeze({
+  KORE_DIALOG: ["EASYSYSTEM_OWNED", "TRANSFER_PENDING", "ENDED"],
+  EASYSYSTEM_OWNED: ["KORE_DIALOG", "TRANSFER_PENDING", "ENDED"],
+  TRANSFER_PENDING: ["AGENT_CONNECTED", "KORE_DIALOG", "ENDED"],
+  AGENT_CONNECTED: ["KORE_DIALOG", "ENDED"],
+  ENDED: ["KORE_DIALOG", "EASYSYSTEM_OWNED", "TRANSFER_PENDING"],
+});
+
+const OWNER_KORE = "kore";
+const OWNER_EASYSYSTEM = "easysystem";
+const END_CONVERSATION_FLAG = "endConversationFromEasySystem";
+
+function canTransition(from, to) {
+  return from === to || (TRANSITIONS[from] || []).includes(to);
+}
+
+/**
+ * Creates the ownership machine for one bot.
+ *
+ * options:
+ *   botName             - used in log lines
+ *   enhancedLogger      - shared-kit logger (warn/info with correlation ids)
+ *   legacyEndConversationFlags - BotUserSession flags set on ENDED alongside
+ *                         endConversationFromEasySystem, for dialogs still reading them
+ *   onTransition(event) - hook called after every accepted transition
+ */
+function createOwnershipMachine(options = {}) {
+  const {
+    botName,
+    enhancedLogger,
+    legacyEndConversationFlags = [],
+    onTransition,
+  } = options;
+  const hooks = typeof onTransition === "function" ? [onTransition] : [];
+  const endConversationFlags = [END_CONVERSATION_FLAG, ...legacyEndConversationFlags];
+
+  function sessionsOf(data) {
+    const session = data?.context?.session;
+    return { bus: session?.BotUserSession, us: session?.UserSession };
+  }
+
+  // Sessions written before the machine existed only carry UserSession.owner
+  function stateOf(data) {
+    const { bus, us } = sessionsOf(data);
+    if (bus?.ownershipState && STATES[bus.ownershipState]) return bus.ownershipState;
+    return us?.owner === OWNER_EASYSYSTEM ? STATES.EASYSYSTEM_OWNED : STATES.KORE_DIALOG;
+  }
+
+  // The only place that writes the legacy ownership flags
+  function applyFlags(data, from, state, meta) {
+    const { bus, us } = sessionsOf(data);
+
+    if (bus) bus.ownershipState = state;
+    if (us) us.owner = state === STATES.EASYSYSTEM_OWNED ? OWNER_EASYSYSTEM : OWNER_KORE;
+
+    if (state === STATES.TRANSFER_PENDING) {
+      data.agent_transfer = true;
+      if (bus) bus.transfer = true;
+    } else if (
+      (from === STATES.TRANSFER_PENDING || from === STATES.AGENT_CONNECTED) &&
+      (state === STATES.KORE_DIALOG || state === STATES.EASYSYSTEM_OWNED)
+    ) {
+      // Back from an agent: a stale transfer flag would re-escalate the next turn
+      delete data.agent_transfer;
+      if (bus) delete bus.transfer;
+    }
+    if (state === STATES.ENDED && bus && meta.fromEasySystem !== false) {
+      endConversationFlags.forEach((flag) => (bus[flag] = true));
+    }
+  }
+
+  /**
+   * Moves the conversation to `to`. meta: { reason, correlationId, fromEasySystem }.
+   * Returns true when the transition was applied, false when it was rejected.
+   */
+  function transition(data, to, meta = {}) {
+    const from = stateOf(data);
+
+    if (!STATES[to] || !canTransition(from, to)) {
+      enhancedLogger?.warn?.(
+        "OWNERSHIP_TRANSITION_REJECTED",
+        {
+          bot: botName,
+          from,
+          to,
+          reason: meta.reason,
+          conversationId: sessionsOf(data).bus?.conversationSessionId,
+        },
+        meta.correlationId
+      );
+      return false;
+    }
+
+    applyFlags(data, from, to, meta);
+
+    if (from !== to) {
+      console.log(`🔀 ownership ${from} -> ${to}` + (meta.reason ? ` (${meta.reason})` : ""));
+      for (const hook of hooks) {
+        try {
+          hook({ from, to, data, meta });
+        } catch (e) {
+          console.error("ownership hook error:", e?.message || e);
+        }
+      }
+    }
+    return true;
+  }
+
+  return {
+    stateOf,
+    transition,
+    canTransition: (data, to) => canTransition(stateOf(data), to),
+    isEasySystemOwned: (data) => stateOf(data) === STATES.EASYSYSTEM_OWNED,
+    onTransition: (hook) => hooks.push(hook),
+  };
+}
+
+module.exports = {
+  STATES,
+  TRANSITIONS,
+  createOwnershipMachine,
+};
@@ -0,0 +1,170 @@
+// Prompt templates for EasySystem utterances.
+// Templates live in a JSON (or YAML) file so conversation designers can edit
+// the text without touching the bots:
+//
+//   {
+//     "defaultLocale": "en-US",
+//     "templates": {
+//       "track_order": {
+//         "default": { "en-US": "My order number is {orderNumber} and zip code is {zipCode:zip}" },
+//         "SA":      { "en-US": "..." }
+//       }
+//     }
+//   }
+//
+// Placeholders are {name}, {name:type} or {name:type?}; a trailing "?" marks
+// the value optional. A template never renders with a required value missing
+// or of the wrong type — render() throws instead of sending "undefined".
+
+const fs = require("fs");
+const path = require("path");
+
+const DEFAULT_TEMPLATES_FILE = path.join(__dirname, "templates", "prompts.json");
+const DEFAULT_LOCALE = "en-US";
+const DEFAULT_VARIANT = "default";
+
+const PLACEHOLDER = /\{(\w+)(?::(\w+))?(\?)?\}/g;
+
+const TYPES = {
+  string: (v) => typeof v === "string" || typeof v === "number",
+  number: (v) => v !== "" && Number.isFinite(Number(v)),
+  integer: (v) => /^\d+$/.test(String(v)),
+  zip: (v) => /^\d{5}(-?\d{4})?$/.test(String(v).trim()),
+  email: (v) => /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(String(v).trim()),
+};
+
+function templateError(code, message, extra = {}) {
+  const err = new Error(message);
+  err.code = code;
+  return Object.assign(err, extra);
+}
+
+function isPresent(value) {
+  return value !== undefined && value !== null && String(value).trim() !== "";
+}
+
+function compile(name, source) {
+  if (typeof source !== "string") {
+    throw new TypeError(`Prompt template "${name}" must be a string`);
+  }
+
+  const placeholders = [];
+  for (const [, slot, type = "string", optional] of source.matchAll(PLACEHOLDER)) {
+    if (!TYPES[type]) {
+      throw new TypeError(`Prompt template "${name}" uses unknown type "${type}" for {${slot}}`);
+    }
+    placeholders.push({ name: slot, type, optional: Boolean(optional) });
+  }
+
+  return { name, source, placeholders };
+}
+
+// "en-US" -> ["en-US", "en"]
+function localeChain(locale) {
+  if (!locale) return [];
+  const base = String(locale).split(/[-_]/)[0];
+  return base && base !== locale ? [locale, base] : [locale];
+}
+
+/**
+ * Builds a template catalog from a parsed document (see file header).
+ */
+function createPromptTemplates(doc = {}) {
+  const defaultLocale = doc.defaultLocale || DEFAULT_LOCALE;
+  const catalog = new Map();
+
+  for (const [name, variants] of Object.entries(doc.templates || {})) {
+    const compiled = {};
+    for (const [variant, locales] of Object.entries(variants || {})) {
+      compiled[variant] = {};
+      for (const [locale, source] of Object.entries(locales || {})) {
+        compiled[variant][locale] = compile(`${name}/${variant}/${locale}`, source);
+      }
+    }
+    catalog.set(name, compiled);
+  }
+
+  // Business unit first, then the default variant; requested locale first, then the default locale
+  function resolve(name, { businessUnit, locale } = {}) {
+    const variants = catalog.get(name);
+    if (!variants) return null;
+
+    const locales = [...localeChain(locale), ...localeChain(defaultLocale)];
+    for (const variant of [businessUnit, DEFAULT_VARIANT]) {
+      if (!variant || !variants[variant]) continue;
+      for (const loc of locales) {
+        if (variants[variant][loc]) return variants[variant][loc];
+      }
+    }
+    return null;
+  }
+
+  function check(template, values) {
+    const missing = [];
+    const invalid = [];
+    for (const p of template.placeholders) {
+      const value = values[p.name];
+      if (!isPresent(value)) {
+        if (!p.optional) missing.push(p.name);
+      } else if (!TYPES[p.type](value)) {
+        invalid.push(p.name);
+      }
+    }
+    return { missing, invalid };
+  }
+
+  function render(name, values = {}, options = {}) {
+    const template = resolve(name, options);
+    if (!template) {
+      throw templateError("PROMPT_TEMPLATE_NOT_FOUND", `No prompt template "${name}"`, {
+        template: name,
+      });
+    }
+
+    const { missing, invalid } = check(template, values);
+    if (missing.length || invalid.length) {
+      throw templateError(
+        "PROMPT_INCOMPLETE",
+        `Prompt "${template.name}" is incomplete (missing: ${missing.join(", ") || "-"}; invalid: ${invalid.join(", ") || "-"})`,
+        { template: template.name, missing, invalid }
+      );
+    }
+
+    return template.source
+      .replace(PLACEHOLDER, (match, slot) => (isPresent(values[slot]) ? String(values[slot]).trim() : ""))
+      .replace(/\s{2,}/g, " ")
+      .trim();
+  }
+
+  return {
+    defaultLocale,
+    has: (name) => catalog.has(name),
+    names: () => Array.from(catalog.keys()),
+    resolve,
+    render,
+  };
+}
+
+function parseTemplatesFile(filePath, raw) {
+  if (/\.ya?ml$/i.test(filePath)) {
+    let yaml;
+    try {
+      yaml = require("js-yaml");
+    } catch (e) {
+      throw new Error(`Cannot read ${filePath}: YAML templates need the "js-yaml" package`);
+    }
+    return yaml.load(raw);
+  }
+  return JSON.parse(raw);
+}
+
+function loadPromptTemplates(filePath = DEFAULT_TEMPLATES_FILE) {
+  const raw = fs.readFileSync(filePath, "utf8");
+  return createPromptTemplates(parseTemplatesFile(filePath, raw));
+}
+
+module.exports = {
+  DEFAULT_TEMPLATES_FILE,
+  createPromptTemplates,
+  loadPromptTemplates,
+};
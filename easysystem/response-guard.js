@@ -0,0 +1,107 @@
+// One terminal SDK call per turn.
+// Every platform request is answered through the SDK, and answering it twice
+// puts two messages in front of the user. Terminal calls come in two kinds:
+//
+//   message  sendUserMessage, sendBotMessage
+//   webhook  sendWebhookResponse, or respondToHook once an AsyncResponse
+//            has deferred the answer
+//
+// A turn may send one message and answer its webhook once (an async webhook
+// does both); anything after that is a duplicate. Duplicates are logged and
+// dropped, so the first answer is the one that counts; the caller's callback
+// still runs, as if the call had gone through, so its flow carries on.
+//
+// Turns are tracked per Kore data object, like turn deadlines: the handler that
+// receives a request starts its turn, and everything that runs for it shares it.
+
+const KINDS = Object.freeze({
+  MESSAGE: "message",
+  WEBHOOK: "webhook",
+});
+
+const TERMINAL_CALLS = Object.freeze({
+  sendUserMessage: KINDS.MESSAGE,
+  sendBotMessage: KINDS.MESSAGE,
+  sendWebhookResponse: KINDS.WEBHOOK,
+  respondToHook: KINDS.WEBHOOK,
+});
+
+/**
+ * Creates the guard for one bot.
+ *
+ * options:
+ *   botName        - used in log lines
+ *   enhancedLogger - shared-kit logger (warn on duplicates)
+ */
+function createResponseGuard({ botName, enhancedLogger } = {}) {
+  const turns = new WeakMap();
+  const duplicates = {};
+
+  function turnOf(data) {
+    if (!turns.has(data)) turns.set(data, {});
+    return turns.get(data);
+  }
+
+  // Starts (or restarts) the turn for a request's data object
+  function start(data) {
+    if (data && typeof data === "object") turns.set(data, {});
+  }
+
+  /**
+   * Records a terminal call. Returns false, after logging it, when the turn
+   * already made a call of the same kind.
+   */
+  function claim(data, method) {
+    const kind = TERMINAL_CALLS[method];
+    if (!kind || !data || typeof data !== "object") return true;
+
+    const turn = turnOf(data);
+    if (!turn[kind]) {
+      turn[kind] = method;
+      return true;
+    }
+
+    duplicates[method] = (duplicates[method] || 0) + 1;
+    enhancedLogger?.warn?.("DUPLICATE_RESPONSE_SUPPRESSED", {
+      bot: botName,
+      kind,
+      method,
+      first: turn[kind],
+      conversationId: data?.context?.session?.BotUserSession?.conversationSessionId,
+    });
+    return false;
+  }
+
+  // Whether the turn already made a terminal call of kind (default: a message)
+  function hasReplied(data, kind = KINDS.MESSAGE) {
+    if (!data || typeof data !== "object" || !turns.has(data)) return false;
+    return Boolean(turns.get(data)[kind]);
+  }
+
+  // The SDK with its terminal senders going through claim(); other members as is
+  function wrap(sdk) {
+    const guarded = Object.create(sdk);
+    for (const method of Object.keys(TERMINAL_CALLS)) {
+      if (typeof sdk[method] !== "function") continue;
+      guarded[method] = (data, ...args) => {
+        if (claim(data, method)) return sdk[method](data, ...args);
+        const callback = args.find((arg) => typeof arg === "function");
+        return callback ? callback(null, data) : undefined;
+      };
+    }
+    return guarded;
+  }
+
+  function getStats() {
+    const total = Object.values(duplicates).reduce((sum, n) => sum + n, 0);
+    return { duplicatesSuppressed: total, byMethod: { ...duplicates } };
+  }
+
+  return { start, claim, hasReplied, wrap, getStats };
+}
+
+module.exports = {
+  KINDS,
+  TERMINAL_CALLS,
+  createResponseGuard,
+};
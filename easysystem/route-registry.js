@@ -0,0 +1,183 @@
+// Declarative webhook route registry.
+// Each dialog component name maps to one integration plus the metadata the
+// generic on_webhook dispatcher needs: which business units may use it, how
+// the webhook is acknowledged, how EasySystem context is loaded first, which
+// context fields it reads, which prompt template becomes the utterance, which
+// permission the caller's account role needs (see authorization.js), whether
+// the user confirms the action first (see confirmation.js) and whether it needs
+// step-up verification (see step-up.js).
+
+// How the webhook is answered:
+//   direct    - the integration sends the user message itself; no webhook ACK
+//   script    - the integration's callback result is the webhook ACK
+//               (the next Script node renders what it left in session)
+//   async     - ACK right away, run the integration after the ACK and deliver
+//               its result later (see DELIVERY_MODES)
+//   immediate - older name for async with message delivery
+const ACK_MODES = Object.freeze({
+  DIRECT: "direct",
+  SCRIPT: "script",
+  ASYNC: "async",
+  IMMEDIATE: "immediate",
+});
+
+// How an async route's result reaches the conversation:
+//   message - the integration messages the user itself (direct-style integrations)
+//   hook    - the webhook is left pending and completed with the integration's
+//             result through Kore's async webhook callback (script-style integrations)
+const DELIVERY_MODES = Object.freeze({
+  MESSAGE: "message",
+  HOOK: "hook",
+});
+
+// How EasySystem context is loaded before the integration runs:
+//   strict      - context call must succeed, otherwise transfer to an agent
+//   best-effort - push context, run the integration whatever the outcome
+//   none        - skip the context call
+const CONTEXT_MODES = Object.freeze({
+  STRICT: "strict",
+  BEST_EFFORT: "best-effort",
+  NONE: "none",
+});
+
+const ACK_VALUES = Object.values(ACK_MODES);
+const CONTEXT_VALUES = Object.values(CONTEXT_MODES);
+const DELIVERY_VALUES = Object.values(DELIVERY_MODES);
+
+function readPath(source, path) {
+  return String(path)
+    .split(".")
+    .reduce((node, key) => (node == null ? undefined : node[key]), source);
+}
+
+function isPresent(value) {
+  return value !== undefined && value !== null && String(value).trim() !== "";
+}
+
+function normalizeRoute(componentName, def, defaults) {
+  const route = { ...defaults, ...def, componentName };
+
+  if (typeof route.integration !== "string" || !route.integration) {
+    throw new TypeError(`Route "${componentName}" must name an integration`);
+  }
+  if (!ACK_VALUES.includes(route.ack)) {
+    throw new TypeError(
+      `Route "${componentName}" has unknown ack mode "${route.ack}" (expected ${ACK_VALUES.join(", ")})`
+    );
+  }
+  if (!CONTEXT_VALUES.includes(route.context)) {
+    throw new TypeError(
+      `Route "${componentName}" has unknown context mode "${route.context}" (expected ${CONTEXT_VALUES.join(", ")})`
+    );
+  }
+
+  const isAsync = route.ack === ACK_MODES.ASYNC || route.ack === ACK_MODES.IMMEDIATE;
+  const delivery = isAsync ? route.delivery || DELIVERY_MODES.MESSAGE : undefined;
+  if (isAsync && !DELIVERY_VALUES.includes(delivery)) {
+    throw new TypeError(
+      `Route "${componentName}" has unknown delivery mode "${delivery}" (expected ${DELIVERY_VALUES.join(", ")})`
+    );
+  }
+  if (route.ack === ACK_MODES.IMMEDIATE && delivery !== DELIVERY_MODES.MESSAGE) {
+    throw new TypeError(`Route "${componentName}": ack "immediate" only delivers by message; use "async"`);
+  }
+  // Confirmed / verified integrations run on a later user message, with no webhook left to answer
+  const gated = route.confirm || route.stepUp;
+  if (gated && (route.ack === ACK_MODES.SCRIPT || delivery === DELIVERY_MODES.HOOK)) {
+    throw new TypeError(
+      `Route "${componentName}": confirm and stepUp need an integration that messages the user`
+    );
+  }
+
+  // Field specs are one context path or a list of fallbacks, relative to data.context
+  const fields = {};
+  for (const [slot, spec] of Object.entries(route.fields || {})) {
+    fields[slot] = Array.isArray(spec) ? spec.slice() : [spec];
+  }
+
+  return Object.freeze({
+    componentName,
+    integration: route.integration,
+    businessUnits: Array.isArray(route.businessUnits) ? route.businessUnits.slice() : null,
+    ack: route.ack,
+    delivery,
+    context: route.context,
+    fields: Object.freeze(fields),
+    prompt: typeof route.prompt === "string" ? route.prompt : undefined,
+    permission: typeof route.permission === "string" ? route.permission : undefined,
+    confirm: typeof route.confirm === "string" ? route.confirm : undefined,
+    stepUp: route.stepUp === true,
+  });
+}
+
+/**
+ * Creates a registry from { componentName: routeDefinition }.
+ *
+ * routeDefinition:
+ *   integration    - integration method name (required)
+ *   businessUnits  - allowed business units; omit to allow any
+ *   ack            - one of ACK_MODES
+ *   delivery       - one of DELIVERY_MODES, for async routes (default: message)
+ *   context        - one of CONTEXT_MODES
+ *   fields         - { slot: "context.path" | ["path", "fallback.path"] }
+ *   prompt         - prompt template name (see prompt-templates.js); the template
+ *                    decides which fields are required and of what type
+ *   permission     - permission the caller's role needs (see authorization.js);
+ *                    omit for routes anyone may use
+ *   confirm        - prompt template summarizing the action; the integration only
+ *                    runs once the user confirms it (see confirmation.js)
+ *   stepUp         - true: the user enters a one-time code first (see step-up.js)
+ *
+ * defaults are merged into every definition (e.g. a bot-wide ack mode).
+ */
+function createRouteRegistry(definitions = {}, defaults = {}) {
+  const routes = new Map();
+
+  function register(componentName, def) {
+    routes.set(componentName, normalizeRoute(componentName, def, defaults));
+    return routes.get(componentName);
+  }
+
+  for (const [componentName, def] of Object.entries(definitions)) {
+    register(componentName, def);
+  }
+
+  return {
+    register,
+    get: (componentName) => routes.get(componentName) || null,
+    has: (componentName) => routes.has(componentName),
+    componentNames: () => Array.from(routes.keys()),
+    routes: () => Array.from(routes.values()),
+  };
+}
+
+function allowsBusinessUnit(route, businessUnit) {
+  return !route.businessUnits || route.businessUnits.includes(businessUnit);
+}
+
+// Reads every declared field from data.context; reports the ones that are empty
+function resolveSlots(route, data) {
+  const slots = {};
+  const missing = [];
+
+  for (const [slot, paths] of Object.entries(route.fields)) {
+    const value = paths.map((p) => readPath(data.context, p)).find(isPresent);
+    if (isPresent(value)) {
+      slots[slot] = value;
+    } else {
+      missing.push(slot);
+    }
+  }
+
+  return { slots, missing };
+}
+
+module.exports = {
+  ACK_MODES,
+  CONTEXT_MODES,
+  DELIVERY_MODES,
+  createRouteRegistry,
+  allowsBusinessUnit,
+  resolveSlots,
+  readPath,
+};
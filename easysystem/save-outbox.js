@@ -0,0 +1,265 @@
+// Durable outbox for transcript saves.
+// A message-save payload that could not be delivered is written to a local
+// JSON file instead of being lost. The outbox replays it once the save API
+// recovers, in order per externalConversationId: one conversation's messages
+// are never saved out of order, and a failing conversation does not hold up
+// the others.
+//
+// Entries are deduplicated by key (the save's Idempotency-Key), so queuing the
+// same save twice keeps one copy while two identical messages sent in
+// different turns ("yes", then "yes" again) are both kept. They are dropped
+// once older than maxAgeMs (or when the outbox exceeds maxEntries, oldest first).
+//
+// Files live in botConfig.saveOutbox.dir (default ~/.easysystem/save-outbox,
+// which survives restarts where the os tmpdir may not) and are named after the
+// bot's instanceId: es-sba-bot-save-outbox.json. Each file is held by one
+// process at a time through a "<file>.lock" holding its pid; a second worker
+// of the same bot takes the next free slot (es-sba-bot-save-outbox.1.json),
+// and a lock whose process is gone is taken over, so a restarted worker
+// replays what its predecessor left behind.
+
+const crypto = require("crypto");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+const DEFAULT_DIR = path.join(os.homedir(), ".easysystem", "save-outbox");
+
+const DEFAULTS = {
+  maxAgeMs: 24 * 60 * 60 * 1000, // keep undelivered payloads for a day
+  maxEntries: 5000,
+  flushIntervalMs: 60 * 1000,
+};
+
+// Files held by outboxes in this process; their locks carry this pid too
+const filesInUse = new Set();
+
+function isAlive(pid) {
+  if (!Number.isInteger(pid) || pid <= 0) return false;
+  try {
+    process.kill(pid, 0);
+    return true;
+  } catch (e) {
+    return e.code === "EPERM"; // alive, just not ours to signal
+  }
+}
+
+// Takes file's lock for this process; false while another live process holds it
+function lockFile(file) {
+  const lock = `${file}.lock`;
+  for (let attempt = 0; attempt < 2; attempt++) {
+    try {
+      fs.writeFileSync(lock, String(process.pid), { flag: "wx" });
+      return true;
+    } catch (e) {
+      if (e.code !== "EEXIST") {
+        console.error(`⚠️  Save outbox lock ${lock} not taken:`, e.message);
+        return true; // an unlockable directory must not stop the bot
+      }
+    }
+    let owner;
+    try {
+      owner = Number(fs.readFileSync(lock, "utf8"));
+    } catch (_) {
+      continue; // released in the meantime
+    }
+    if (isAlive(owner) && owner !== process.pid) return false;
+    // Stale: its process is gone. Remove it and race the others for it once.
+    try {
+      fs.unlinkSync(lock);
+    } catch (_) {
+      /* someone else took it over first */
+    }
+  }
+  return false;
+}
+
+// First slot file of name in dir that no other process or outbox holds
+function claimFile(dir, name) {
+  fs.mkdirSync(dir, { recursive: true });
+  for (let slot = 0; ; slot++) {
+    const file = path.join(dir, `${name}-save-outbox${slot ? `.${slot}` : ""}.json`);
+    if (!filesInUse.has(file) && lockFile(file)) {
+      filesInUse.add(file);
+      process.once("exit", () => {
+        try {
+          fs.unlinkSync(`${file}.lock`);
+        } catch (_) {
+          /* already gone */
+        }
+      });
+      return file;
+    }
+  }
+}
+
+// Fallback key when the caller has none: one save is one correlation id and payload
+function entryKey(payload, correlationId) {
+  return crypto.createHash("sha1").update(JSON.stringify([correlationId, payload])).digest("hex");
+}
+
+/**
+ * Creates an outbox.
+ *
+ * options:
+ *   dir             - directory for the queue files (default: DEFAULT_DIR)
+ *   name            - the bot's instanceId; names the file (see file header)
+ *   send(entry)     - delivers one entry; resolves on success, rejects on failure
+ *   maxAgeMs, maxEntries, flushIntervalMs - see DEFAULTS
+ *   logger          - shared-kit enhanced logger
+ */
+function createSaveOutbox(options = {}) {
+  const { send, logger, name = "easysystem" } = options;
+  let dir = options.dir;
+  if (!dir && options.file) {
+    // Older configs named a file; bots sharing a config would share it
+    console.warn("⚠️  saveOutbox.file is ignored, use saveOutbox.dir; the file name comes from the instanceId");
+    dir = path.dirname(options.file);
+  }
+  const file = claimFile(path.resolve(dir || DEFAULT_DIR), name);
+  const maxAgeMs = options.maxAgeMs ?? DEFAULTS.maxAgeMs;
+  const maxEntries = options.maxEntries ?? DEFAULTS.maxEntries;
+  const flushIntervalMs = options.flushIntervalMs ?? DEFAULTS.flushIntervalMs;
+
+  let entries = load();
+  let flushing = null;
+  let timer = null;
+  const stats = { queued: 0, replayed: 0, expired: 0, duplicates: 0, evicted: 0 };
+
+  function load() {
+    try {
+      const parsed = JSON.parse(fs.readFileSync(file, "utf8"));
+      return Array.isArray(parsed) ? parsed : [];
+    } catch (e) {
+      if (e.code !== "ENOENT") console.error(`⚠️  Save outbox ${file} unreadable, starting empty:`, e.message);
+      return [];
+    }
+  }
+
+  // Write-then-rename so a crash never leaves a half-written file behind
+  function persist() {
+    const tmp = `${file}.${process.pid}.tmp`;
+    try {
+      fs.mkdirSync(path.dirname(file), { recursive: true });
+      fs.writeFileSync(tmp, JSON.stringify(entries));
+      fs.renameSync(tmp, file);
+    } catch (e) {
+      console.error("⚠️  Save outbox persist failed:", e.message);
+    }
+  }
+
+  function prune(now = Date.now()) {
+    const before = entries.length;
+    entries = entries.filter((e) => now - e.enqueuedAt <= maxAgeMs);
+    stats.expired += before - entries.length;
+
+    if (entries.length > maxEntries) {
+      stats.evicted += entries.length - maxEntries;
+      entries = entries.slice(entries.length - maxEntries);
+    }
+    if (entries.length !== before) {
+      logger?.warn?.("SAVE_OUTBOX_PRUNED", { dropped: before - entries.length, file });
+    }
+  }
+
+  /**
+   * Queues a payload under key (its Idempotency-Key). Returns false when an
+   * entry with the same key is already queued (has(key) stays true) or the
+   * new entry was pruned on arrival (has(key) is false).
+   */
+  function enqueue(payload, correlationId, key = entryKey(payload, correlationId)) {
+    if (has(key)) {
+      stats.duplicates++;
+      return false;
+    }
+
+    entries.push({
+      key,
+      conversationId: payload?.externalConversationId,
+      correlationId,
+      payload,
+      enqueuedAt: Date.now(),
+      attempts: 0,
+    });
+    stats.queued++;
+    prune();
+    persist();
+    return has(key);
+  }
+
+  function has(key) {
+    return entries.some((e) => e.key === key);
+  }
+
+  // Later messages of a conversation with a backlog must queue behind it
+  function hasPending(conversationId) {
+    return entries.some((e) => e.conversationId === conversationId);
+  }
+
+  async function replayConversation(conversationId) {
+    for (const entry of entries.filter((e) => e.conversationId === conversationId)) {
+      entry.attempts++;
+      try {
+        await send(entry);
+      } catch (err) {
+        logger?.warn?.(
+          "SAVE_OUTBOX_REPLAY_FAILED",
+          { conversationId, attempts: entry.attempts, error: err?.message },
+          entry.correlationId
+        );
+        return; // keep order: the rest of this conversation waits for the next flush
+      }
+      entries = entries.filter((e) => e !== entry);
+      stats.replayed++;
+      persist();
+    }
+  }
+
+  /**
+   * Replays everything queued. Concurrent calls share one run.
+   */
+  function flush() {
+    if (flushing) return flushing;
+    flushing = (async () => {
+      prune();
+      const conversations = [...new Set(entries.map((e) => e.conversationId))];
+      for (const conversationId of conversations) {
+        await replayConversation(conversationId);
+      }
+      persist();
+    })().finally(() => {
+      flushing = null;
+    });
+    return flushing;
+  }
+
+  function start() {
+    if (timer || !flushIntervalMs) return;
+    timer = setInterval(() => {
+      if (entries.length) flush().catch(() => {});
+    }, flushIntervalMs);
+    if (typeof timer.unref === "function") timer.unref();
+  }
+
+  function stop() {
+    if (timer) clearInterval(timer);
+    timer = null;
+  }
+
+  function getStatus() {
+    return {
+      file,
+      pending: entries.length,
+      conversations: new Set(entries.map((e) => e.conversationId)).size,
+      oldestAgeMs: entries.length ? Date.now() - entries[0].enqueuedAt : 0,
+      ...stats,
+    };
+  }
+
+  return { enqueue, has, hasPending, flush, start, stop, getStatus, size: () => entries.length };
+}
+
+module.exports = {
+  DEFAULT_DIR,
+  createSaveOutbox,
+};
@@ -0,0 +1,115 @@
+// Circuit-breaker keys and settings per EasySystem service and business unit.
+// Every call site asks and reports through this facade, so the key that is
+// checked is always the key that is recorded: "<service>:<businessUnit>",
+// e.g. "easysystem-send-api:SA". A dead send API for SBA therefore trips
+// only SBA's send breaker, not Dotcom's or the save API's.
+//
+// Settings come from botConfig.circuitBreakers, most specific last:
+//
+//   circuitBreakers: {
+//     default:                    { failureThreshold: 5, cooldownMs: 30000 },
+//     "easysystem-save-api":      { failureThreshold: 10 },
+//     "easysystem-send-api:SA":   { cooldownMs: 60000, halfOpenMaxCalls: 2 },
+//   }
+//
+// The facade hands them to the underlying breaker when it supports
+// configure(key, settings), and keeps its own per-key counters so the health
+// status shows which endpoint is failing for which business unit either way.
+
+const { DEFAULT_SETTINGS } = require("./circuit-breaker");
+
+function createServiceBreakers({ circuitBreaker, config = {}, businessUnitOf }) {
+  const stats = new Map();
+  const configured = new Set();
+
+  function keyFor(service, data) {
+    const businessUnit = (typeof businessUnitOf === "function" && businessUnitOf(data)) || "ALL";
+    return `${service}:${businessUnit}`;
+  }
+
+  function settingsFor(key) {
+    const [service] = key.split(":");
+    return { ...DEFAULT_SETTINGS, ...config.default, ...config[service], ...config[key] };
+  }
+
+  function statsFor(key) {
+    if (!stats.has(key)) {
+      stats.set(key, {
+        calls: 0,
+        successes: 0,
+        failures: 0,
+        consecutiveFailures: 0,
+        shortCircuited: 0,
+        lastFailureAt: null,
+        lastError: null,
+      });
+    }
+    return stats.get(key);
+  }
+
+  // Settings are pushed once per key, the first time the key is used
+  function ensureConfigured(key) {
+    if (configured.has(key)) return;
+    configured.add(key);
+    if (typeof circuitBreaker.configure === "function") {
+      circuitBreaker.configure(key, settingsFor(key));
+    }
+  }
+
+  async function canExecute(service, data) {
+    const key = keyFor(service, data);
+    ensureConfigured(key);
+    const allowed = await Promise.resolve(circuitBreaker.canExecute(key, data));
+    const s = statsFor(key);
+    if (allowed) s.calls++;
+    else s.shortCircuited++;
+    return allowed;
+  }
+
+  async function recordSuccess(service, data) {
+    const key = keyFor(service, data);
+    const s = statsFor(key);
+    s.successes++;
+    s.consecutiveFailures = 0;
+    try {
+      await Promise.resolve(circuitBreaker.recordSuccess(key, data));
+    } catch (_) {
+      /* best effort */
+    }
+  }
+
+  async function recordFailure(service, data, error) {
+    const key = keyFor(service, data);
+    const s = statsFor(key);
+    s.failures++;
+    s.consecutiveFailures++;
+    s.lastFailureAt = new Date().toISOString();
+    s.lastError = error?.code || error?.message || null;
+    try {
+      await Promise.resolve(circuitBreaker.recordFailure(key, data, error));
+    } catch (_) {
+      /* best effort */
+    }
+  }
+
+  // { "easysystem-send-api:SA": { state, settings, calls, failures, ... } }
+  function getStatus() {
+    const status = {};
+    for (const [key, s] of stats) {
+      status[key] = {
+        state:
+          typeof circuitBreaker.getState === "function" ? circuitBreaker.getState(key) : undefined,
+        settings: settingsFor(key),
+        ...s,
+      };
+    }
+    return status;
+  }
+
+  return { keyFor, settingsFor, canExecute, recordSuccess, recordFailure, getStatus };
+}
+
+module.exports = {
+  DEFAULT_SETTINGS,
+  createServiceBreakers,
+};
@@ -0,0 +1,199 @@
+// Verified login state for account flows.
+// isLoggedIn used to be whichever session flag was set first, and any of them
+// can be set by the client. A session now only counts as logged in when
+// customData carries a signed session token (a JWT) that verifies against our
+// public keys, is not expired and was issued for this audience. Everything
+// else is anonymous: no user id, no account, not logged in.
+//
+// Settings come from botConfig.sessionAuth:
+//
+//   sessionAuth: {
+//     jwksFile: "/etc/easysystem/sba-jwks.json",   // { "keys": [ JWK, ... ] }
+//     audience: "staples-sba-bot",
+//     issuer: "https://login.staplesadvantage.com", // optional
+//     tokenField: "sessionToken",                   // customData field
+//     clockToleranceSec: 60,
+//     claims: { USER_ID: "sub", MASTER_ACCOUNT: "master", ROLE: "role" },
+//   }
+//
+// Keys are read from the local file at startup (reload() re-reads it); no
+// network fetch happens on the message path.
+
+const crypto = require("crypto");
+const fs = require("fs");
+
+const DEFAULTS = {
+  tokenField: "sessionToken",
+  clockToleranceSec: 60,
+  claims: { USER_ID: "sub", MASTER_ACCOUNT: "master", ROLE: "role" },
+};
+
+// JWS alg -> how crypto.verify checks it. No "none", no shared-secret algs.
+const ALGORITHMS = {
+  RS256: { hash: "sha256", kty: "RSA" },
+  RS384: { hash: "sha384", kty: "RSA" },
+  RS512: { hash: "sha512", kty: "RSA" },
+  PS256: { hash: "sha256", kty: "RSA", padding: crypto.constants.RSA_PKCS1_PSS_PADDING, saltLength: 32 },
+  ES256: { hash: "sha256", kty: "EC", dsaEncoding: "ieee-p1363" },
+  ES384: { hash: "sha384", kty: "EC", dsaEncoding: "ieee-p1363" },
+};
+
+function authError(code, message) {
+  const err = new Error(message);
+  err.code = code;
+  return err;
+}
+
+// A token segment as a JSON object; anything else (null, a number, ...) is malformed
+function decodeSegment(segment, what) {
+  let value;
+  try {
+    value = JSON.parse(Buffer.from(segment, "base64url").toString("utf8"));
+  } catch (e) {
+    throw authError("AUTH_TOKEN_MALFORMED", `Session token ${what} is not valid JSON`);
+  }
+  if (value === null || typeof value !== "object" || Array.isArray(value)) {
+    throw authError("AUTH_TOKEN_MALFORMED", `Session token ${what} is not a JSON object`);
+  }
+  return value;
+}
+
+function loadJwks(filePath) {
+  const doc = JSON.parse(fs.readFileSync(filePath, "utf8"));
+  const keys = new Map();
+  (doc.keys || []).forEach((jwk, i) => {
+    if (jwk.use && jwk.use !== "sig") return;
+    keys.set(jwk.kid || `#${i}`, {
+      kty: jwk.kty,
+      alg: jwk.alg,
+      key: crypto.createPublicKey({ key: jwk, format: "jwk" }),
+    });
+  });
+  if (!keys.size) throw new Error(`No signing keys in JWKS file ${filePath}`);
+  return keys;
+}
+
+const ANONYMOUS = Object.freeze({
+  verified: false,
+  anonymous: true,
+  loggedIn: false,
+  USER_ID: null,
+  MASTER_ACCOUNT: null,
+  ROLE: null,
+});
+
+// Without botConfig.sessionAuth nobody can be verified: every conversation is anonymous
+const NOT_CONFIGURED = Object.freeze({ ...ANONYMOUS, reason: "AUTH_NOT_CONFIGURED" });
+
+/**
+ * Creates the resolver.
+ *
+ * options: see file header (jwksFile and audience are required), plus
+ *   keys - Map kid -> { kty, alg, key } instead of jwksFile, for tests
+ *   now  - clock, for tests
+ */
+function createSessionAuth(options = {}) {
+  const settings = { ...DEFAULTS, ...options, claims: { ...DEFAULTS.claims, ...options.claims } };
+  const { audience, issuer, now = Date.now } = settings;
+  if (!audience) throw new TypeError("sessionAuth.audience is required");
+  if (!settings.keys && !settings.jwksFile) throw new TypeError("sessionAuth.jwksFile is required");
+
+  let keys = settings.keys || loadJwks(settings.jwksFile);
+
+  function reload() {
+    if (settings.jwksFile) keys = loadJwks(settings.jwksFile);
+    return keys.size;
+  }
+
+  function keyFor(kid) {
+    if (kid !== undefined) return keys.get(kid) || null;
+    return keys.size === 1 ? keys.values().next().value : null;
+  }
+
+  /**
+   * Verifies a compact JWS and its claims; returns the claims or throws an
+   * error whose code says why (AUTH_*).
+   */
+  function verifyToken(token) {
+    const parts = typeof token === "string" ? token.split(".") : [];
+    if (parts.length !== 3) throw authError("AUTH_TOKEN_MALFORMED", "Session token is not a JWT");
+
+    const header = decodeSegment(parts[0], "header");
+    const alg = ALGORITHMS[header.alg];
+    if (!alg) throw authError("AUTH_ALG_UNSUPPORTED", `Session token alg "${header.alg}" not accepted`);
+
+    const jwk = keyFor(header.kid);
+    if (!jwk || jwk.kty !== alg.kty || (jwk.alg && jwk.alg !== header.alg)) {
+      throw authError("AUTH_KEY_UNKNOWN", `No ${header.alg} key "${header.kid || "-"}" in JWKS`);
+    }
+
+    const { hash, kty, ...verifyOptions } = alg;
+    const valid = crypto.verify(
+      hash,
+      Buffer.from(`${parts[0]}.${parts[1]}`),
+      { key: jwk.key, ...verifyOptions },
+      Buffer.from(parts[2], "base64url")
+    );
+    if (!valid) throw authError("AUTH_SIGNATURE_INVALID", "Session token signature does not verify");
+
+    const claims = decodeSegment(parts[1], "payload");
+    const at = Math.floor(now() / 1000);
+    const tolerance = settings.clockToleranceSec;
+
+    if (typeof claims.exp !== "number") throw authError("AUTH_TOKEN_EXPIRED", "Session token has no exp");
+    if (at - tolerance >= claims.exp) throw authError("AUTH_TOKEN_EXPIRED", "Session token expired");
+    if (typeof claims.nbf === "number" && at + tolerance < claims.nbf) {
+      throw authError("AUTH_TOKEN_NOT_YET_VALID", "Session token not valid yet");
+    }
+    const audiences = Array.isArray(claims.aud) ? claims.aud : [claims.aud];
+    if (!audiences.includes(audience)) {
+      throw authError("AUTH_AUDIENCE_MISMATCH", "Session token was issued for another audience");
+    }
+    if (issuer && claims.iss !== issuer) {
+      throw authError("AUTH_ISSUER_MISMATCH", "Session token was issued by someone else");
+    }
+    return claims;
+  }
+
+  const claimValue = (claims, name) => {
+    const value = claims[settings.claims[name]];
+    return value === undefined || value === null || value === "" ? null : String(value);
+  };
+
+  /**
+   * Auth context for a conversation: the verified identity, or ANONYMOUS with
+   * the reason (AUTH_TOKEN_MISSING, AUTH_TOKEN_EXPIRED, ...). Never throws: a
+   * token that fails in an unexpected way is anonymous too (AUTH_TOKEN_INVALID).
+   */
+  function resolve(data) {
+    const token = data?.context?.session?.BotUserSession?.customData?.[settings.tokenField];
+    if (!token) return { ...ANONYMOUS, reason: "AUTH_TOKEN_MISSING" };
+
+    try {
+      const claims = verifyToken(token);
+      const USER_ID = claimValue(claims, "USER_ID");
+      if (!USER_ID) return { ...ANONYMOUS, reason: "AUTH_SUBJECT_MISSING" };
+      return {
+        verified: true,
+        anonymous: false,
+        loggedIn: true,
+        USER_ID,
+        MASTER_ACCOUNT: claimValue(claims, "MASTER_ACCOUNT"),
+        ROLE: claimValue(claims, "ROLE"),
+        expiresAt: new Date(claims.exp * 1000).toISOString(),
+      };
+    } catch (err) {
+      const reason = String(err?.code).startsWith("AUTH_") ? err.code : "AUTH_TOKEN_INVALID";
+      return { ...ANONYMOUS, reason };
+    }
+  }
+
+  return { resolve, verifyToken, reload };
+}
+
+module.exports = {
+  ANONYMOUS,
+  NOT_CONFIGURED,
+  ALGORITHMS,
+  createSessionAuth,
+};
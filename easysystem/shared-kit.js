@@ -0,0 +1,79 @@
+// Shared finalize-kit loader.
+// Every EasySystem bot used to carry its own copy of this block; it now lives
+// here so all bots resolve the same components (or the same fallbacks).
+
+const crypto = require("crypto");
+const { createCircuitBreaker } = require("./circuit-breaker");
+
+function resolveExport(mod, name) {
+  // Support both default/named exports
+  const resolved = (mod && (mod[name] || mod.default)) || mod;
+  if (typeof resolved !== "function") {
+    throw new TypeError(
+      `${name} export mismatch; keys: ${mod && Object.keys(mod)}`
+    );
+  }
+  return resolved;
+}
+
+function loadSharedKit() {
+  try {
+    const HMMod = require("../start/shared/health-monitor");
+    const RAIMod = require("../start/shared/resilient-api-client");
+
+    return {
+      fallback: false,
+      ErrorHandler: require("../start/shared/error-handler"),
+      CircuitBreaker: require("../start/shared/circuit-breaker"),
+      SessionManager: require("../start/shared/session-manager"),
+      EnhancedLogger: require("../start/shared/enhanced-logger"),
+      HealthMonitor: resolveExport(HMMod, "HealthMonitor"),
+      ApiClientWrapper: resolveExport(RAIMod, "ApiClientWrapper"),
+    };
+  } catch (error) {
+    // No shared kit? Keep the lights on with minimal fallbacks.
+    console.warn("⚠️  Shared components not found, using fallback implementations");
+    console.warn("⚠️  Error:", error.message);
+
+    return {
+      fallback: true,
+      ErrorHandler: { handleError: (err, context, callback) => callback(err) },
+      // Real breaker even without the kit: a dead backend still gets shed
+      CircuitBreaker: createCircuitBreaker(),
+      SessionManager: { cleanup: () => {} },
+      EnhancedLogger: {
+        generateCorrelationId: () =>
+          crypto.randomUUID
+            ? crypto.randomUUID()
+            : crypto.randomBytes(16).toString("hex"),
+        logApiCallStart: () => {},
+        logApiCallComplete: () => {},
+        logApiCallError: () => {},
+        info: () => {},
+        warn: () => {},
+        error: () => {},
+      },
+      // Plain object, not a constructor: createHealthMonitor() handles both.
+      HealthMonitor: {
+        start: () => {},
+        stop: () => {},
+        getHealthStatus: () => ({ status: "ok" }),
+      },
+      ApiClientWrapper: null,
+    };
+  }
+}
+
+// Loaded once per process; all bots share the same kit instance.
+const kit = loadSharedKit();
+
+function createHealthMonitor(options) {
+  return typeof kit.HealthMonitor === "function"
+    ? new kit.HealthMonitor(options)
+    : kit.HealthMonitor;
+}
+
+module.exports = {
+  kit,
+  createHealthMonitor,
+};
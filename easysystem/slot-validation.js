@@ -0,0 +1,108 @@
+// Pre-flight slot validation.
+// Order numbers and ZIP codes are checked and normalized before a turn is
+// rendered, so a malformed value costs the user a re-prompt instead of a
+// wasted EasySystem round-trip. The dialog context wins; BotUserSession fills
+// in whatever the context left empty.
+
+// Order number formats per business unit. Overridable per bot through
+// botConfig.orderNumberPatterns ({ C: "^\\d{10}$", ... }).
+const DEFAULT_ORDER_NUMBER_PATTERNS = {
+  C: /^\d{7,12}$/, // Dotcom: numeric
+  SA: /^[A-Z0-9]{7,12}$/, // SBA: numeric or alphanumeric
+  Q: /^\d{6,10}$/, // Quill: numeric
+};
+const FALLBACK_ORDER_NUMBER_PATTERN = /^[A-Z0-9]{6,12}$/;
+
+// Template used to re-prompt for each validated slot (see templates/prompts.json)
+const REPROMPT_TEMPLATES = {
+  orderNumber: "reprompt_order_number",
+  zipCode: "reprompt_zip_code",
+};
+
+function isPresent(value) {
+  return value !== undefined && value !== null && String(value).trim() !== "";
+}
+
+// "# 123-456 789" -> "123456789"
+function normalizeOrderNumber(value) {
+  return String(value)
+    .trim()
+    .replace(/^#/, "")
+    .replace(/[\s-]/g, "")
+    .toUpperCase();
+}
+
+// "12345", "12345-6789", "12345 6789", "123456789" -> "12345" / "12345-6789"; anything else -> null
+function normalizeZip(value) {
+  const match = String(value).trim().match(/^(\d{5})(?:[-\s]?(\d{4}))?$/);
+  if (!match) return null;
+  return match[2] ? `${match[1]}-${match[2]}` : match[1];
+}
+
+function toRegExp(pattern) {
+  return pattern instanceof RegExp ? pattern : new RegExp(pattern);
+}
+
+/**
+ * Creates a validator for route slots.
+ *
+ * options:
+ *   orderNumberPatterns - { businessUnit: RegExp | string } merged over the defaults
+ */
+function createSlotValidator({ orderNumberPatterns } = {}) {
+  const patterns = { ...DEFAULT_ORDER_NUMBER_PATTERNS };
+  for (const [bu, pattern] of Object.entries(orderNumberPatterns || {})) {
+    patterns[bu] = toRegExp(pattern);
+  }
+
+  const rules = {
+    orderNumber(value, businessUnit) {
+      const normalized = normalizeOrderNumber(value);
+      const pattern = patterns[businessUnit] || FALLBACK_ORDER_NUMBER_PATTERN;
+      return pattern.test(normalized) ? normalized : null;
+    },
+    zipCode: (value) => normalizeZip(value),
+  };
+
+  /**
+   * Validates the slots a route declared. Only slots with a rule are checked;
+   * anything else passes through for the prompt template to judge.
+   *
+   * Returns { slots, missing, invalid } with slots holding normalized values.
+   */
+  function validate(route, slots, { businessUnit, session } = {}) {
+    const result = { slots: { ...slots }, missing: [], invalid: [] };
+
+    for (const slot of Object.keys(route.fields)) {
+      const rule = rules[slot];
+      if (!rule) continue;
+
+      let value = result.slots[slot];
+      if (!isPresent(value)) value = session?.[slot];
+      if (!isPresent(value)) {
+        result.missing.push(slot);
+        continue;
+      }
+
+      const normalized = rule(value, businessUnit);
+      if (normalized === null) {
+        result.invalid.push(slot);
+        delete result.slots[slot];
+      } else {
+        result.slots[slot] = normalized;
+      }
+    }
+
+    return result;
+  }
+
+  return { validate, rules };
+}
+
+module.exports = {
+  DEFAULT_ORDER_NUMBER_PATTERNS,
+  REPROMPT_TEMPLATES,
+  createSlotValidator,
+  normalizeOrderNumber,
+  normalizeZip,
+};
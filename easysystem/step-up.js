@@ -0,0 +1,308 @@
+// Step-up verification for high-risk account changes.
+// Being logged in is not always enough: a route that declares `stepUp`
+// (route-registry.js) only runs once the user has entered a one-time code sent
+// to them out of band. A verified user stays verified for a while, so a second
+// change in the same conversation does not ask again.
+//
+// The subject is the verified user (see session-auth.js); an anonymous caller
+// is asked to sign in first. Wrong codes count against the subject, not the
+// challenge or the conversation: after maxAttempts of them, across however
+// many codes and conversations, no new code is sent for lockoutSeconds. A count
+// with no wrong code for lockoutSeconds starts over. Counts are kept in files
+// under stepUp.dir (default ~/.easysystem/step-up/<instanceId>), one per
+// subject and named by its HMAC, so a restart does not reset them and every
+// worker of the bot sees the same count.
+//
+// The open challenge waits in BotUserSession.stepUpChallenge:
+//
+//   {
+//     id, componentName, slots, text,   // the turn to run once verified
+//     subject, codeMac,                 // HMAC of the code; the code is never stored
+//     expiresAt,
+//   }
+//
+// The session is client-visible, so the code is only kept as an HMAC keyed
+// with stepUp.secret: without the secret six digits are quickly guessed from
+// any plain hash.
+//
+// and a passed one leaves BotUserSession.stepUp: { subject, verifiedAt, expiresAt }.
+//
+// Settings come from botConfig.stepUp:
+//
+//   stepUp: {
+//     secret: "...",                   // required; keys the code and subject HMACs
+//     dir: "/var/lib/easysystem/step-up",
+//     codeLength: 6,
+//     codeTtlSeconds: 300,
+//     maxAttempts: 3,
+//     lockoutSeconds: 900,
+//     verifiedTtlSeconds: 900,
+//     provider: "console" | "file",   // stand-ins; real delivery is the bot's stepUpProvider
+//     file: "/tmp/step-up-codes.log",  // for provider "file"
+//   }
+//
+// A delivery provider is { name, send({ code, data, conversationId, expiresAt }) },
+// sync or as a promise; it may return { destination } ("j***@example.com") for
+// the message that tells the user where the code went.
+
+const crypto = require("crypto");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+const DEFAULT_DIR = path.join(os.homedir(), ".easysystem", "step-up");
+
+const DEFAULTS = {
+  codeLength: 6,
+  codeTtlSeconds: 300,
+  maxAttempts: 3,
+  lockoutSeconds: 900,
+  verifiedTtlSeconds: 900,
+};
+
+const OUTCOMES = Object.freeze({
+  VERIFIED: "verified",
+  INVALID: "invalid", // wrong code, attempts left
+  LOCKED: "locked", // wrong code, no attempts left; the subject is locked out
+  EXPIRED: "expired",
+  ABANDONED: "abandoned", // the user said something that is not a code
+});
+
+// What a typed code looks like once spaces and dashes are dropped
+function looksLikeCode(message) {
+  return /^\d+$/.test(String(message ?? "").replace(/[\s-]/g, ""));
+}
+
+function mac(secret, value) {
+  return crypto.createHmac("sha256", secret).update(value).digest("hex");
+}
+
+function sameHash(a, b) {
+  const left = Buffer.from(a, "hex");
+  const right = Buffer.from(b, "hex");
+  return left.length === right.length && crypto.timingSafeEqual(left, right);
+}
+
+// Logs the code; for local testing only
+function createConsoleDeliveryProvider() {
+  return {
+    name: "console",
+    send({ code, conversationId }) {
+      console.log(`🔐 Step-up code for conversation ${conversationId}: ${code}`);
+    },
+  };
+}
+
+// Appends { at, conversationId, code } lines to a file; for local testing only
+function createFileDeliveryProvider(filePath) {
+  if (!filePath) throw new TypeError('stepUp.file is required for provider "file"');
+  return {
+    name: "file",
+    send({ code, conversationId }) {
+      const line = JSON.stringify({ at: new Date().toISOString(), conversationId, code });
+      return fs.promises.appendFile(filePath, `${line}\n`, "utf8");
+    },
+  };
+}
+
+// subject -> { failures, lastFailureAt, lockedUntil }, one JSON file per subject.
+// Files are replaced whole (write, then rename), so a reader never sees half a record.
+function createFailureStore(dir, fileNameOf) {
+  fs.mkdirSync(dir, { recursive: true });
+  const fileOf = (subject) => path.join(dir, `${fileNameOf(subject)}.json`);
+
+  function get(subject) {
+    try {
+      return JSON.parse(fs.readFileSync(fileOf(subject), "utf8"));
+    } catch (err) {
+      if (err.code !== "ENOENT") console.error("step-up failure record unreadable:", err.message);
+      return undefined;
+    }
+  }
+
+  function set(subject, record) {
+    const file = fileOf(subject);
+    const tmp = `${file}.${process.pid}.tmp`;
+    fs.writeFileSync(tmp, JSON.stringify(record), "utf8");
+    fs.renameSync(tmp, file);
+  }
+
+  function remove(subject) {
+    fs.rmSync(fileOf(subject), { force: true });
+  }
+
+  return { get, set, delete: remove };
+}
+
+function providerFromConfig(config = {}) {
+  if (config.provider === "file") return createFileDeliveryProvider(config.file);
+  if (config.provider === "console") return createConsoleDeliveryProvider();
+  throw new TypeError(`Unknown stepUp.provider "${config.provider}" (expected console or file)`);
+}
+
+/**
+ * Creates the step-up verifier for one bot.
+ *
+ * options: see file header, plus
+ *   name     - the bot's instanceId; its failure counts live in <dir>/<name>
+ *   provider - delivery provider (required)
+ *   now      - clock, for tests
+ */
+function createStepUp(options = {}) {
+  const settings = { ...DEFAULTS, ...options };
+  const { secret, name, provider, now = Date.now } = settings;
+  if (typeof secret !== "string" || !secret.trim()) {
+    throw new TypeError("stepUp.secret is required");
+  }
+  if (!name) throw new TypeError("stepUp needs the bot's instanceId as name");
+  if (!provider || typeof provider.send !== "function") {
+    throw new TypeError("stepUp needs a delivery provider with a send() method");
+  }
+  for (const key of Object.keys(DEFAULTS)) {
+    if (!(Number(settings[key]) > 0)) throw new TypeError(`stepUp.${key} must be a positive number`);
+  }
+  const outcomes = { issued: 0 };
+  const failures = createFailureStore(
+    path.join(path.resolve(settings.dir || DEFAULT_DIR), name),
+    (subject) => mac(secret, `subject:${subject}`)
+  );
+  const codeMac = (challengeId, code) => mac(secret, `code:${challengeId}:${code}`);
+
+  function count(outcome) {
+    outcomes[outcome] = (outcomes[outcome] || 0) + 1;
+  }
+
+  function sessionOf(data) {
+    return data.context.session.BotUserSession;
+  }
+
+  // Whether subject passed a challenge that has not run out yet
+  function isVerified(data, subject) {
+    const state = sessionOf(data).stepUp;
+    return Boolean(
+      state && state.subject === subject && now() < Date.parse(state.expiresAt)
+    );
+  }
+
+  // Failure record for subject, dropped once its lockout (or count window) has run out
+  function failuresOf(subject) {
+    const record = failures.get(subject);
+    const endsAt = record?.lockedUntil || record?.lastFailureAt + settings.lockoutSeconds * 1000;
+    if (record && now() >= endsAt) {
+      failures.delete(subject);
+      return null;
+    }
+    return record || null;
+  }
+
+  // ISO time subject's lockout ends, or null
+  function lockedUntil(subject) {
+    const until = failuresOf(subject)?.lockedUntil;
+    return until ? new Date(until).toISOString() : null;
+  }
+
+  /**
+   * Sends a new code and leaves the challenge in the session (replacing any
+   * older one). Resolves to { challenge, destination }; rejects when the
+   * provider fails, or with code STEP_UP_LOCKED while the subject is locked
+   * out, with no challenge left behind.
+   */
+  async function challenge(data, { subject, conversationId, componentName, slots, text }) {
+    if (!subject) throw new TypeError("step-up needs a verified subject");
+    const session = sessionOf(data);
+    const until = lockedUntil(subject);
+    if (until) {
+      delete session.stepUpChallenge;
+      const err = new Error(`Step-up locked until ${until}`);
+      err.code = "STEP_UP_LOCKED";
+      err.lockedUntil = until;
+      throw err;
+    }
+    const code = String(crypto.randomInt(0, 10 ** settings.codeLength)).padStart(
+      settings.codeLength,
+      "0"
+    );
+    const id = crypto.randomBytes(8).toString("hex");
+    const expiresAt = new Date(now() + settings.codeTtlSeconds * 1000).toISOString();
+    const pending = {
+      id,
+      subject,
+      componentName,
+      slots,
+      text,
+      codeMac: codeMac(id, code),
+      expiresAt,
+    };
+
+    delete session.stepUpChallenge;
+    const sent = await provider.send({ code, data, conversationId, expiresAt });
+    session.stepUpChallenge = pending;
+    count("issued");
+    return { challenge: pending, destination: sent?.destination || null };
+  }
+
+  /**
+   * Checks the user's message against the open challenge:
+   *   { outcome, challenge, attemptsLeft } - outcome is one of OUTCOMES, or
+   *   null with no challenge open
+   * The challenge stays open only after an invalid code with attempts left;
+   * attempts are counted per subject (see file header).
+   */
+  function answer(data) {
+    const session = sessionOf(data);
+    const pending = session.stepUpChallenge;
+    if (!pending) return { outcome: null, challenge: null, attemptsLeft: 0 };
+    delete session.stepUpChallenge;
+
+    const code = String(data.message || "").replace(/[\s-]/g, "");
+    const record = failuresOf(pending.subject) || {
+      failures: 0,
+      lastFailureAt: null,
+      lockedUntil: null,
+    };
+    let outcome;
+    if (!looksLikeCode(code)) outcome = OUTCOMES.ABANDONED;
+    else if (record.lockedUntil) outcome = OUTCOMES.LOCKED;
+    else if (now() >= Date.parse(pending.expiresAt)) outcome = OUTCOMES.EXPIRED;
+    else if (sameHash(codeMac(pending.id, code), pending.codeMac || "")) outcome = OUTCOMES.VERIFIED;
+    else {
+      record.failures += 1;
+      record.lastFailureAt = now();
+      outcome = record.failures >= settings.maxAttempts ? OUTCOMES.LOCKED : OUTCOMES.INVALID;
+      if (outcome === OUTCOMES.LOCKED) record.lockedUntil = now() + settings.lockoutSeconds * 1000;
+      failures.set(pending.subject, record);
+    }
+
+    if (outcome === OUTCOMES.INVALID) session.stepUpChallenge = pending;
+    if (outcome === OUTCOMES.VERIFIED) {
+      failures.delete(pending.subject);
+      session.stepUp = {
+        subject: pending.subject,
+        verifiedAt: new Date(now()).toISOString(),
+        expiresAt: new Date(now() + settings.verifiedTtlSeconds * 1000).toISOString(),
+      };
+    }
+    count(outcome);
+    return {
+      outcome,
+      challenge: pending,
+      attemptsLeft: Math.max(settings.maxAttempts - record.failures, 0),
+    };
+  }
+
+  function getStats() {
+    return { provider: provider.name || "custom", ...outcomes };
+  }
+
+  return { isVerified, lockedUntil, challenge, answer, getStats };
+}
+
+module.exports = {
+  DEFAULT_DIR,
+  OUTCOMES,
+  looksLikeCode,
+  createStepUp,
+  createConsoleDeliveryProvider,
+  createFileDeliveryProvider,
+  providerFromConfig,
+};
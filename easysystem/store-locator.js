@@ -0,0 +1,234 @@
+// Store-locator results.
+// finding_near_estore used to keep EasySystem's free-text answer as one blob in
+// BotUserSession.storeInfo. This module turns the reply into validated store
+// records so dialogs can let the user pick a store, answer "is it open
+// Sunday?" and pass the chosen store on to other flows.
+//
+// Store record:
+//   { id, name, address: { line1, city, state, zip, text }, distance (miles),
+//     hours: { mon: "8:00 AM - 9:00 PM", ... }, phone, services: [] }
+//
+// EasySystem is asked for JSON ({ "stores": [...] }); replies that still come
+// back as prose are parsed best-effort.
+
+const DAYS = ["sun", "mon", "tue", "wed", "thu", "fri", "sat"];
+const DAY_NAMES = {
+  sun: "Sunday",
+  mon: "Monday",
+  tue: "Tuesday",
+  wed: "Wednesday",
+  thu: "Thursday",
+  fri: "Friday",
+  sat: "Saturday",
+};
+
+const PHONE = /\(?\d{3}\)?[-.\s]?\d{3}[-.\s]?\d{4}/;
+const DISTANCE = /(\d+(?:\.\d+)?)\s*(?:mi\b|miles?\b)/i;
+const ADDRESS = /^(.+?),\s*([^,]+),\s*([A-Z]{2})\s*(\d{5}(?:-\d{4})?)\s*$/;
+
+function isPresent(value) {
+  return value !== undefined && value !== null && String(value).trim() !== "";
+}
+
+function clean(value) {
+  return String(value)
+    .replace(/\*\*|__/g, "")
+    .trim();
+}
+
+// "Sunday", "sun", "SUN." -> "sun"
+function dayKey(day) {
+  const key = String(day || "").trim().slice(0, 3).toLowerCase();
+  return DAYS.includes(key) ? key : null;
+}
+
+function normalizePhone(value) {
+  const match = isPresent(value) && String(value).match(PHONE);
+  if (!match) return null;
+  const digits = match[0].replace(/\D/g, "");
+  return `(${digits.slice(0, 3)}) ${digits.slice(3, 6)}-${digits.slice(6)}`;
+}
+
+function normalizeDistance(value) {
+  if (typeof value === "number") return Number.isFinite(value) ? value : null;
+  const match = isPresent(value) && String(value).match(/(\d+(?:\.\d+)?)/);
+  return match ? Number(match[1]) : null;
+}
+
+function normalizeAddress(value) {
+  if (!value) return null;
+  if (typeof value === "object") {
+    const line1 = value.line1 || value.street;
+    if (!isPresent(line1)) return null;
+    const address = {
+      line1: clean(line1),
+      city: isPresent(value.city) ? clean(value.city) : undefined,
+      state: isPresent(value.state) ? clean(value.state) : undefined,
+      zip: isPresent(value.zip || value.zipCode) ? clean(value.zip || value.zipCode) : undefined,
+    };
+    const region = [address.state, address.zip].filter(Boolean).join(" ");
+    address.text = [address.line1, address.city, region].filter(Boolean).join(", ");
+    return address;
+  }
+  const text = clean(value);
+  if (!text) return null;
+  const match = text.match(ADDRESS);
+  return match
+    ? { line1: match[1], city: match[2], state: match[3], zip: match[4], text }
+    : { line1: text, text };
+}
+
+// "Mon-Fri 8am-9pm, Sat 9am-6pm, Sun Closed" or { Monday: "8-9", ... } -> { mon: "8am-9pm", ... }
+function normalizeHours(value) {
+  const hours = {};
+  if (!value) return hours;
+
+  if (typeof value === "object") {
+    for (const [day, span] of Object.entries(value)) {
+      const key = dayKey(day);
+      if (key && isPresent(span)) hours[key] = clean(span);
+    }
+    return hours;
+  }
+
+  for (const part of String(value).split(/[;,\n]/)) {
+    const match = part.trim().match(/^([A-Za-z]{3,9})\.?(?:\s*[-–]\s*([A-Za-z]{3,9})\.?)?:?\s+(.+)$/);
+    if (!match) continue;
+    const from = dayKey(match[1]);
+    const to = match[2] ? dayKey(match[2]) : from;
+    if (!from || !to) continue;
+    for (let i = DAYS.indexOf(from); ; i = (i + 1) % 7) {
+      hours[DAYS[i]] = clean(match[3]);
+      if (DAYS[i] === to) break;
+    }
+  }
+  return hours;
+}
+
+function normalizeServices(value) {
+  const list = Array.isArray(value) ? value : isPresent(value) ? String(value).split(/[,;]/) : [];
+  return list.map(clean).filter(Boolean);
+}
+
+function slug(value) {
+  return String(value)
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, "-")
+    .replace(/^-|-$/g, "");
+}
+
+// One raw record -> store, or null when it lacks a name or an address
+function normalizeStore(raw, index) {
+  if (!raw || typeof raw !== "object") return null;
+  const name = isPresent(raw.name) ? clean(raw.name) : null;
+  const address = normalizeAddress(raw.address);
+  if (!name || !address) return null;
+
+  return {
+    id: isPresent(raw.id) ? String(raw.id) : slug(`${name}-${address.zip || index + 1}`),
+    name,
+    address,
+    distance: normalizeDistance(raw.distance),
+    hours: normalizeHours(raw.hours),
+    phone: normalizePhone(raw.phone),
+    services: normalizeServices(raw.services),
+  };
+}
+
+// Numbered prose ("1. **Staples Boston** ... Address: ... Phone: ...") -> raw records
+function parseProse(text) {
+  const blocks = String(text)
+    .split(/\n(?=\s*\d+[.)]\s)/)
+    .filter((block) => /^\s*\d+[.)]\s/.test(block));
+
+  return blocks.map((block) => {
+    const lines = block.split("\n").map((l) => l.replace(/^\s*[-*•]\s*/, "").trim());
+    const record = { name: lines[0].replace(/^\d+[.)]\s*/, "") };
+
+    for (const line of lines.slice(1)) {
+      const [label, ...rest] = line.split(":");
+      const value = rest.join(":").trim();
+      const key = label.trim().toLowerCase();
+      if (!value) continue;
+      if (key.startsWith("address")) record.address = value;
+      else if (key.startsWith("hour")) record.hours = value;
+      else if (key.startsWith("phone")) record.phone = value;
+      else if (key.startsWith("distance")) record.distance = value;
+      else if (key.startsWith("service")) record.services = value;
+    }
+
+    // Prose without labels: pick the obvious pieces out of the whole block
+    if (!record.phone && PHONE.test(block)) record.phone = block.match(PHONE)[0];
+    if (!record.distance && DISTANCE.test(block)) record.distance = block.match(DISTANCE)[1];
+    if (!record.address) record.address = lines.slice(1).find((l) => ADDRESS.test(clean(l)));
+    record.name = record.name.replace(DISTANCE, "").replace(/[()\s-]+$/, "");
+    return record;
+  });
+}
+
+function parseJson(text) {
+  if (typeof text !== "string" || !/^\s*[[{]/.test(text)) return undefined;
+  try {
+    const parsed = JSON.parse(text);
+    return Array.isArray(parsed) ? parsed : parsed?.stores;
+  } catch (e) {
+    return undefined;
+  }
+}
+
+/**
+ * Parses a normalized EasySystem reply into store records.
+ * Returns { stores, rejected } where rejected counts records that failed validation.
+ */
+function parseStores(reply) {
+  const raw = reply?.extras?.stores || parseJson(reply?.text) || parseProse(reply?.text || "");
+  const list = Array.isArray(raw) ? raw : [];
+  const stores = list.map(normalizeStore).filter(Boolean);
+  return { stores, rejected: list.length - stores.length };
+}
+
+// Pick by id, 1-based position, name, or the carousel postback "store:<id>"
+function findStore(stores, choice) {
+  if (!Array.isArray(stores) || !isPresent(choice)) return null;
+  const value = String(choice).trim().replace(/^store:/, "");
+  if (/^\d+$/.test(value) && stores[Number(value) - 1]) return stores[Number(value) - 1];
+  const lower = value.toLowerCase();
+  return (
+    stores.find((s) => s.id === value) ||
+    stores.find((s) => s.name.toLowerCase() === lower) ||
+    stores.find((s) => s.name.toLowerCase().includes(lower)) ||
+    null
+  );
+}
+
+// Hours for a day ("Sunday", "sun"), or null when the store did not list that day
+function hoursOn(store, day) {
+  const key = dayKey(day);
+  return (key && store?.hours?.[key]) || null;
+}
+
+function isOpenOn(store, day) {
+  const hours = hoursOn(store, day);
+  return hours ? !/closed/i.test(hours) : null;
+}
+
+// Plain-text summary kept in BotUserSession.storeInfo for older dialog nodes
+function summarizeStores(stores) {
+  return stores
+    .map((store, i) => {
+      const lines = [`${i + 1}. ${store.name}`, store.address.text];
+      if (store.phone) lines.push(`Phone: ${store.phone}`);
+      const hours = DAYS.filter((d) => store.hours[d]).map((d) => `${DAY_NAMES[d]}: ${store.hours[d]}`);
+      if (hours.length) lines.push(`Hours: ${hours.join(", ")}`);
+      return lines.join("\n");
+    })
+    .join("\n\n");
+}
+
+module.exports = {
+  parseStores,
+  findStore,
+  hoursOn,
+  isOpenOn,
+  summarizeStores,
+};
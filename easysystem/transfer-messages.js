@@ -0,0 +1,79 @@
+// Agent-transfer messages.
+// What the user reads when the bot hands over depends on why it hands over,
+// whose brand the conversation is under and the user's language. The copy
+// lives in a template file (same format as prompts.json, see
+// prompt-templates.js) with one template per transfer reason and business
+// unit variants, so it can be maintained without code changes:
+//
+//   "api_error": {
+//     "default": { "en-US": "Please hold while I transfer you to an agent." },
+//     "SA":      { "en-US": "..." }
+//   }
+//
+// When EasySystem itself asks for the transfer and says something, its text is
+// used as is. The same file holds what the user is told when no agent is
+// available and the alternatives offered instead (agents_*, alternative_*).
+
+const path = require("path");
+const { loadPromptTemplates } = require("./prompt-templates");
+
+const DEFAULT_MESSAGES_FILE = path.join(__dirname, "templates", "transfer-messages.json");
+
+const TRANSFER_REASONS = Object.freeze({
+  EASYSYSTEM_REQUESTED: "easysystem_requested",
+  CIRCUIT_OPEN: "circuit_open",
+  API_ERROR: "api_error",
+  VALIDATION_FAILED: "validation_failed", // EasySystem's reply failed the schema
+  DEADLINE_EXCEEDED: "deadline_exceeded",
+});
+
+// Template used for reasons the catalog has no entry for
+const FALLBACK_TEMPLATE = "default";
+
+function isTransferReason(reason) {
+  return Object.values(TRANSFER_REASONS).includes(reason);
+}
+
+/**
+ * Wraps a template catalog (createPromptTemplates) as a transfer-message lookup.
+ *
+ * fallbackMessage is used when the catalog has neither the reason nor "default".
+ */
+function createTransferMessages(templates, fallbackMessage) {
+  function tryRender(name, options, values = {}) {
+    if (!templates.has(name)) return null;
+    try {
+      return templates.render(name, values, options) || null;
+    } catch (err) {
+      if (err.code !== "PROMPT_TEMPLATE_NOT_FOUND") throw err;
+      return null;
+    }
+  }
+
+  // options: { businessUnit, locale, esText }
+  function messageFor(reason, { businessUnit, locale, esText } = {}) {
+    if (typeof esText === "string" && esText.trim()) return esText.trim();
+    const options = { businessUnit, locale };
+    return tryRender(reason, options) || tryRender(FALLBACK_TEMPLATE, options) || fallbackMessage;
+  }
+
+  // Any other template in the catalog (agents-unavailable copy, see
+  // transfer-policy.js), or null when there is none
+  function textFor(name, values, { businessUnit, locale } = {}) {
+    return tryRender(name, { businessUnit, locale }, values);
+  }
+
+  return { messageFor, textFor };
+}
+
+function loadTransferMessages(filePath = DEFAULT_MESSAGES_FILE, fallbackMessage) {
+  return createTransferMessages(loadPromptTemplates(filePath), fallbackMessage);
+}
+
+module.exports = {
+  DEFAULT_MESSAGES_FILE,
+  TRANSFER_REASONS,
+  isTransferReason,
+  createTransferMessages,
+  loadTransferMessages,
+};
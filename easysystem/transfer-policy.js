@@ -0,0 +1,289 @@
+// Transfer policy: is anyone there to take the conversation?
+// Before a transfer, the business unit's calendar (opening hours and holidays)
+// and, optionally, the live queue are checked. When agents are unavailable the
+// bot offers alternatives (callback, email ticket, retry later) instead of
+// leaving the user in an unstaffed queue.
+//
+// Settings come from botConfig.transferPolicy:
+//
+//   transferPolicy: {
+//     calendars: {
+//       C: {
+//         timeZone: "America/New_York",
+//         label: "ET",          // optional, shown to the user next to opening times
+//         hours: { mon: "08:00-20:00", sat: ["09:00-12:00", "13:00-17:00"] }, // missing day = closed
+//         holidays: ["2026-12-25", { date: "2026-12-24", hours: "08:00-14:00" }],
+//       },
+//       default: { ... },      // business units without their own calendar
+//     },
+//     queue: { timeoutMs: 1500, maxWaitSeconds: 600 },
+//     alternatives: ["callback", "email_ticket", "retry_later"],
+//   }
+//
+// No calendar for a business unit means always open. The queue provider is
+// pluggable: ({ businessUnit, reason, data }) -> { available, waitSeconds } or a
+// boolean, sync or as a promise. A provider that fails or is too slow does not
+// block the transfer.
+
+const DAYS = ["sun", "mon", "tue", "wed", "thu", "fri", "sat"];
+
+const STATUSES = Object.freeze({
+  OPEN: "open",
+  AFTER_HOURS: "after_hours",
+  HOLIDAY: "holiday",
+  QUEUE_FULL: "queue_full",
+  QUEUE_UNKNOWN: "queue_unknown", // provider failed; transfer anyway
+});
+
+const ALTERNATIVES = Object.freeze({
+  CALLBACK: "callback",
+  EMAIL_TICKET: "email_ticket",
+  RETRY_LATER: "retry_later",
+});
+
+const DEFAULT_QUEUE_SETTINGS = Object.freeze({
+  timeoutMs: 1500,
+  maxWaitSeconds: null, // longer reported waits count as a full queue
+});
+
+// Days looked ahead for the next opening
+const MAX_LOOKAHEAD_DAYS = 14;
+
+function policyError(message) {
+  const err = new Error(message);
+  err.code = "TRANSFER_POLICY_INVALID";
+  return err;
+}
+
+// "08:00" -> 480
+function toMinutes(time, where) {
+  const match = /^(\d{1,2}):(\d{2})$/.exec(String(time).trim());
+  if (!match || Number(match[1]) > 24 || Number(match[2]) > 59) {
+    throw policyError(`Invalid time "${time}" in transfer calendar ${where}`);
+  }
+  return Number(match[1]) * 60 + Number(match[2]);
+}
+
+// "08:00-20:00" | ["08:00-12:00", "13:00-17:00"] | null | "closed" -> [{ start, end }]
+function parseSpans(value, where) {
+  if (value === undefined || value === null || value === "closed") return [];
+  return (Array.isArray(value) ? value : [value]).map((span) => {
+    const [start, end] = String(span).split("-");
+    if (end === undefined) throw policyError(`Invalid hours "${span}" in transfer calendar ${where}`);
+    const spanOf = { start: toMinutes(start, where), end: toMinutes(end, where) };
+    if (spanOf.end <= spanOf.start) {
+      throw policyError(`Hours "${span}" end before they start in transfer calendar ${where}`);
+    }
+    return spanOf;
+  });
+}
+
+function compileCalendar(name, calendar) {
+  if (!calendar.timeZone) throw policyError(`Transfer calendar ${name} has no timeZone`);
+  // Throws RangeError for an unknown zone, at startup rather than mid-transfer
+  new Intl.DateTimeFormat("en-US", { timeZone: calendar.timeZone });
+
+  const hours = {};
+  for (const day of DAYS) hours[day] = parseSpans(calendar.hours?.[day], `${name}.${day}`);
+
+  const holidays = new Map();
+  for (const holiday of calendar.holidays || []) {
+    const date = typeof holiday === "string" ? holiday : holiday?.date;
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(date || "")) {
+      throw policyError(`Invalid holiday "${JSON.stringify(holiday)}" in transfer calendar ${name}`);
+    }
+    holidays.set(date, parseSpans(holiday.hours, `${name}.${date}`));
+  }
+
+  return { name, timeZone: calendar.timeZone, label: calendar.label || null, hours, holidays };
+}
+
+// Wall-clock date, weekday and minute of day in the calendar's zone
+function localTime(at, timeZone) {
+  const parts = {};
+  new Intl.DateTimeFormat("en-US", {
+    timeZone,
+    year: "numeric",
+    month: "2-digit",
+    day: "2-digit",
+    hour: "2-digit",
+    minute: "2-digit",
+    hourCycle: "h23",
+  })
+    .formatToParts(at)
+    .forEach(({ type, value }) => (parts[type] = value));
+
+  const date = `${parts.year}-${parts.month}-${parts.day}`;
+  return { date, day: dayOf(date), minutes: Number(parts.hour) * 60 + Number(parts.minute) };
+}
+
+function dayOf(date) {
+  const [y, m, d] = date.split("-").map(Number);
+  return DAYS[new Date(Date.UTC(y, m - 1, d)).getUTCDay()];
+}
+
+function addDays(date, count) {
+  const [y, m, d] = date.split("-").map(Number);
+  return new Date(Date.UTC(y, m - 1, d + count)).toISOString().slice(0, 10);
+}
+
+function spansOn(calendar, date) {
+  return calendar.holidays.has(date) ? calendar.holidays.get(date) : calendar.hours[dayOf(date)];
+}
+
+function formatTime(minutes) {
+  const pad = (n) => String(n).padStart(2, "0");
+  return `${pad(Math.floor(minutes / 60))}:${pad(minutes % 60)}`;
+}
+
+// Next opening after `local`, as calendar wall-clock time: { date, day, time, timeZone, label }
+function nextOpening(calendar, local) {
+  for (let offset = 0; offset <= MAX_LOOKAHEAD_DAYS; offset++) {
+    const date = addDays(local.date, offset);
+    const span = spansOn(calendar, date)
+      .filter((s) => offset > 0 || s.start > local.minutes)
+      .sort((a, b) => a.start - b.start)[0];
+    if (span) {
+      return {
+        date,
+        day: dayOf(date),
+        time: formatTime(span.start),
+        timeZone: calendar.timeZone,
+        label: calendar.label,
+      };
+    }
+  }
+  return null;
+}
+
+/**
+ * "Monday 8:00 AM ET" (or the locale's equivalent) for a nextOpening() result.
+ * The wall-clock time is formatted as UTC so no zone conversion happens.
+ */
+function describeOpening(opening, locale = "en-US") {
+  if (!opening) return "";
+  const [y, m, d] = opening.date.split("-").map(Number);
+  const [hh, mm] = opening.time.split(":").map(Number);
+  const at = new Date(Date.UTC(y, m - 1, d, hh, mm));
+  const weekday = new Intl.DateTimeFormat(locale, { weekday: "long", timeZone: "UTC" }).format(at);
+  const time = new Intl.DateTimeFormat(locale, {
+    hour: "numeric",
+    minute: "2-digit",
+    timeZone: "UTC",
+  }).format(at);
+  return [weekday, time, opening.label].filter(Boolean).join(" ");
+}
+
+function withTimeout(promise, ms) {
+  let timer;
+  const timeout = new Promise((resolve, reject) => {
+    timer = setTimeout(() => {
+      const err = new Error(`Queue provider did not answer within ${ms}ms`);
+      err.code = "QUEUE_PROVIDER_TIMEOUT";
+      reject(err);
+    }, ms);
+  });
+  return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+}
+
+/**
+ * Creates the policy for one bot.
+ *
+ * options:
+ *   calendars, queue, alternatives - see file header
+ *   queueProvider  - live queue check, see file header
+ *   logger         - shared-kit logger (warn on provider failures)
+ *   now            - clock, for tests
+ */
+function createTransferPolicy(options = {}) {
+  const { queueProvider, logger, now = Date.now } = options;
+  const queue = { ...DEFAULT_QUEUE_SETTINGS, ...options.queue };
+  const alternatives = options.alternatives || Object.values(ALTERNATIVES);
+  const calendars = {};
+  for (const [name, calendar] of Object.entries(options.calendars || {})) {
+    calendars[name] = compileCalendar(name, calendar);
+  }
+  const byStatus = {};
+
+  for (const alternative of alternatives) {
+    if (!Object.values(ALTERNATIVES).includes(alternative)) {
+      throw policyError(`Unknown transfer alternative "${alternative}"`);
+    }
+  }
+
+  function calendarFor(businessUnit) {
+    return calendars[businessUnit] || calendars.default || null;
+  }
+
+  // { status, nextOpening } from the calendar alone
+  function checkCalendar(businessUnit) {
+    const calendar = calendarFor(businessUnit);
+    if (!calendar) return { status: STATUSES.OPEN, nextOpening: null };
+
+    const local = localTime(new Date(now()), calendar.timeZone);
+    const spans = spansOn(calendar, local.date);
+    if (spans.some((s) => local.minutes >= s.start && local.minutes < s.end)) {
+      return { status: STATUSES.OPEN, nextOpening: null };
+    }
+    return {
+      status:
+        calendar.holidays.has(local.date) && !spans.length ? STATUSES.HOLIDAY : STATUSES.AFTER_HOURS,
+      nextOpening: nextOpening(calendar, local),
+    };
+  }
+
+  async function checkQueue(context) {
+    if (typeof queueProvider !== "function") return { status: STATUSES.OPEN };
+    try {
+      const answer = await withTimeout(Promise.resolve(queueProvider(context)), queue.timeoutMs);
+      const { available, waitSeconds } =
+        typeof answer === "boolean" ? { available: answer } : answer || {};
+      const tooLong =
+        queue.maxWaitSeconds !== null && Number(waitSeconds) > Number(queue.maxWaitSeconds);
+      return {
+        status: available === false || tooLong ? STATUSES.QUEUE_FULL : STATUSES.OPEN,
+        waitSeconds: waitSeconds ?? null,
+      };
+    } catch (err) {
+      logger?.warn?.("TRANSFER_QUEUE_CHECK_FAILED", {
+        businessUnit: context.businessUnit,
+        error: err?.message || String(err),
+      });
+      return { status: STATUSES.QUEUE_UNKNOWN };
+    }
+  }
+
+  /**
+   * Decides whether a transfer can go ahead now:
+   *   { available, status, nextOpening, waitSeconds, alternatives }
+   */
+  async function evaluate({ businessUnit, reason, data }) {
+    let decision = checkCalendar(businessUnit);
+    if (decision.status === STATUSES.OPEN) {
+      decision = { ...decision, ...(await checkQueue({ businessUnit, reason, data })) };
+    }
+    byStatus[decision.status] = (byStatus[decision.status] || 0) + 1;
+
+    const available = decision.status === STATUSES.OPEN || decision.status === STATUSES.QUEUE_UNKNOWN;
+    return {
+      available,
+      status: decision.status,
+      nextOpening: decision.nextOpening || null,
+      waitSeconds: decision.waitSeconds ?? null,
+      alternatives: available ? [] : alternatives.slice(),
+    };
+  }
+
+  function getStats() {
+    return { byStatus: { ...byStatus } };
+  }
+
+  return { evaluate, checkCalendar, getStats };
+}
+
+module.exports = {
+  STATUSES,
+  ALTERNATIVES,
+  describeOpening,
+  createTransferPolicy,
+};
@@ -0,0 +1,100 @@
+// Turn deadlines and per-endpoint timeout budgets.
+// A webhook turn can chain a context load and a send; with fixed 30s timeouts
+// (plus retries) that outlasts both Kore's webhook timeout and the user. Each
+// turn instead gets one deadline, started when the turn arrives, and every
+// EasySystem call in it gets its endpoint's budget or whatever is left of the
+// turn, whichever is smaller.
+//
+// Settings come from botConfig.timeouts:
+//
+//   timeouts: {
+//     turnMs: 12000,        // whole turn, from arrival to reply
+//     send: 9000,           // per-endpoint budgets
+//     context: 3000,
+//     save: 5000,           // saves run off the reply path: budget only, no deadline
+//     minCallMs: 500,       // less than this left -> do not start the call
+//     onExceeded: "transfer" | "still_working",
+//   }
+
+const DEFAULT_TIMEOUTS = Object.freeze({
+  turnMs: 12000,
+  send: 9000,
+  context: 3000,
+  save: 5000,
+  minCallMs: 500,
+  onExceeded: "transfer",
+});
+
+// axios reports its own timeout as ECONNABORTED (ETIMEDOUT with clarifyTimeoutError)
+function isTimeoutError(error) {
+  return error?.code === "ECONNABORTED" || error?.code === "ETIMEDOUT";
+}
+
+function deadlineError(endpoint, remainingMs) {
+  const err = new Error(`Turn deadline exceeded before ${endpoint} call (${remainingMs}ms left)`);
+  err.code = "TURN_DEADLINE_EXCEEDED";
+  err.endpoint = endpoint;
+  return err;
+}
+
+/**
+ * Creates the deadline tracker for one bot.
+ *
+ * Deadlines are held per Kore data object, so everything that runs for one
+ * turn (context load, then send) shares the same one without extra plumbing.
+ */
+function createTurnDeadlines(settings = {}, now = Date.now) {
+  const timeouts = { ...DEFAULT_TIMEOUTS, ...settings };
+  const deadlines = new WeakMap();
+
+  // Starts (or restarts) the turn's clock
+  function start(data) {
+    const deadlineAt = now() + timeouts.turnMs;
+    if (data && typeof data === "object") deadlines.set(data, deadlineAt);
+    return deadlineAt;
+  }
+
+  // Calls made outside a started turn get a clock from their first call
+  function deadlineOf(data) {
+    if (!data || typeof data !== "object") return now() + timeouts.turnMs;
+    return deadlines.has(data) ? deadlines.get(data) : start(data);
+  }
+
+  function remaining(data) {
+    return Math.max(0, deadlineOf(data) - now());
+  }
+
+  /**
+   * Budget for one call: { timeout, deadlineAt, truncated }. truncated means the
+   * turn, not the endpoint budget, set the timeout. Throws TURN_DEADLINE_EXCEEDED
+   * when less than minCallMs is left.
+   */
+  function budgetFor(data, endpoint) {
+    const endpointMs = timeouts[endpoint];
+    if (endpoint === "save") {
+      return { timeout: endpointMs, deadlineAt: now() + endpointMs, truncated: false };
+    }
+    const left = remaining(data);
+    if (left < timeouts.minCallMs) throw deadlineError(endpoint, left);
+    return {
+      timeout: Math.min(endpointMs, left),
+      deadlineAt: deadlineOf(data),
+      truncated: left < endpointMs,
+    };
+  }
+
+  // A timeout the turn imposed is the turn running out, not the endpoint failing
+  function isDeadlineError(error, budget) {
+    return (
+      error?.code === "TURN_DEADLINE_EXCEEDED" || (Boolean(budget?.truncated) && isTimeoutError(error))
+    );
+  }
+
+  return { settings: timeouts, start, remaining, budgetFor, isDeadlineError };
+}
+
+module.exports = {
+  DEFAULT_TIMEOUTS,
+  isTimeoutError,
+  createTurnDeadlines,
+};
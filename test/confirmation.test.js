@@ -0,0 +1,102 @@
+// Confirmation tokens for destructive order actions (easysystem/confirmation.js):
+// a "yes" only counts once, for the live confirmation, before it expires.
+//
+//   node --test test/
+
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+
+const { OUTCOMES, payloadFor, createConfirmations } = require("../easysystem/confirmation");
+
+const START = Date.UTC(2026, 9, 18, 12, 0, 0);
+
+function setup(ttlSeconds = 300) {
+  const clock = { at: START };
+  const confirmations = createConfirmations({ ttlSeconds, now: () => clock.at });
+  return { clock, confirmations };
+}
+
+function turnData() {
+  return { message: "", context: { session: { BotUserSession: {} } } };
+}
+
+function issue(confirmations, data) {
+  return confirmations.issue(data, {
+    componentName: "CancelEntireOrderWebHook",
+    slots: { orderNumber: "1234567" },
+    text: "cancel my order",
+    summary: "Cancel order 1234567?",
+  });
+}
+
+function reply(confirmations, data, message, labels) {
+  data.message = message;
+  return confirmations.answer(data, labels).outcome;
+}
+
+test("a yes within the TTL confirms; the token is a fresh random value", () => {
+  const { clock, confirmations } = setup(300);
+  const data = turnData();
+  const pending = issue(confirmations, data);
+  assert.match(pending.token, /^[0-9a-f]{32}$/);
+  assert.notEqual(issue(confirmations, turnData()).token, pending.token);
+  assert.equal(pending.expiresAt, new Date(START + 300 * 1000).toISOString());
+
+  clock.at = START + 299 * 1000;
+  assert.equal(reply(confirmations, data, payloadFor(pending.token, "yes")), OUTCOMES.CONFIRMED);
+});
+
+test("TTL: a yes at or after expiry runs nothing", () => {
+  const { clock, confirmations } = setup(300);
+  const data = turnData();
+  const pending = issue(confirmations, data);
+
+  clock.at = START + 300 * 1000;
+  assert.equal(reply(confirmations, data, payloadFor(pending.token, "yes")), OUTCOMES.EXPIRED);
+
+  issue(confirmations, data);
+  clock.at += 301 * 1000;
+  assert.equal(reply(confirmations, data, "yes"), OUTCOMES.EXPIRED);
+});
+
+test("replay: the same yes a second time finds nothing pending", () => {
+  const { confirmations } = setup();
+  const data = turnData();
+  const pending = issue(confirmations, data);
+  const yes = payloadFor(pending.token, "yes");
+
+  assert.equal(reply(confirmations, data, yes), OUTCOMES.CONFIRMED);
+  assert.equal(data.context.session.BotUserSession.pendingConfirmation, undefined);
+  assert.equal(reply(confirmations, data, yes), null);
+});
+
+test("replay: a button from an older confirmation does not confirm the newer one", () => {
+  const { confirmations } = setup();
+  const data = turnData();
+  const older = issue(confirmations, data);
+  issue(confirmations, data);
+
+  assert.equal(reply(confirmations, data, payloadFor(older.token, "yes")), OUTCOMES.EXPIRED);
+  // ... and the newer one is used up by the attempt
+  assert.equal(reply(confirmations, data, "yes"), null);
+});
+
+test("no declines, anything else abandons; quick-reply titles count as answers", () => {
+  const { confirmations } = setup();
+  const data = turnData();
+  const labels = { yes: ["Yes, cancel it"], no: ["Keep my order"] };
+
+  issue(confirmations, data);
+  assert.equal(reply(confirmations, data, "Keep my order", labels), OUTCOMES.DECLINED);
+  issue(confirmations, data);
+  assert.equal(reply(confirmations, data, "where is my order", labels), OUTCOMES.ABANDONED);
+  issue(confirmations, data);
+  assert.equal(reply(confirmations, data, "yes, CANCEL it", labels), OUTCOMES.CONFIRMED);
+
+  assert.deepEqual(confirmations.getStats(), { issued: 3, declined: 1, abandoned: 1, confirmed: 1 });
+});
+
+test("a non-positive TTL is a configuration error", () => {
+  assert.throws(() => createConfirmations({ ttlSeconds: 0 }), TypeError);
+  assert.throws(() => createConfirmations({ ttlSeconds: "soon" }), TypeError);
+});
@@ -0,0 +1,79 @@
+// Transfers on HOOK-delivery routes go through the transfer policy.
+// EasySystem asks for an agent on a Script-style SBA route while the calendar
+// is closed: the route must not hand over, but leave the alternatives offer
+// for the next Script node to render and take the user's pick next turn.
+//
+//   node --test test/
+
+const { test, after } = require("node:test");
+const assert = require("node:assert/strict");
+const { installFakePlatform, settle } = require("./support/fake-platform");
+
+const platform = installFakePlatform({
+  identitySigning: { secret: "test-secret" },
+  stepUp: { secret: "test-step-up-secret", provider: "console" },
+  // No opening hours on any day: always after hours
+  transferPolicy: { calendars: { default: { timeZone: "UTC", hours: {} } } },
+});
+after(() => platform.restore());
+const { sent } = platform;
+const sbaBot = require("../EasySystemSBA");
+const quillSbaBot = require("../sba");
+
+platform.easySystem(() => ({
+  status: 200,
+  data: { text: "Let me get an expert.", transfer: true },
+}));
+
+let conversations = 0;
+
+function turnData() {
+  conversations += 1;
+  return {
+    message: "where is my order",
+    context: {
+      orderNumber: "AB12345",
+      zipCode: "02169",
+      AI_Assisted_Dialogs: {
+        collectInfoTrack: { entities: { orderNumber: "AB12345", zipCode: "02169" } },
+      },
+      session: {
+        BotUserSession: { businessUnit: "SA", conversationSessionId: `hook-transfer-${conversations}` },
+        UserSession: {},
+      },
+    },
+  };
+}
+
+const CASES = [
+  ["EasySystemSBA", sbaBot, "easySystemHook", "trackOrder"],
+  ["EasySystemSBA", sbaBot, "ReturnStatusHook", "returnStatus"],
+  ["sba", quillSbaBot, "ReturnStatusHook", "renderr"],
+];
+
+for (const [botLabel, bot, componentName, field] of CASES) {
+  test(`${botLabel} ${componentName} offers alternatives after hours instead of handing over`, async () => {
+    const data = turnData();
+    bot.on_webhook("request", data, componentName, () => {});
+    await settle();
+
+    const session = data.context.session.BotUserSession;
+    assert.deepEqual(sent.get(data), ["respondToHook"], "the hook alone answers the turn");
+    assert.notEqual(data.agent_transfer, true);
+    assert.equal(session.ownershipState, "KORE_DIALOG");
+    assert.equal(session.transferOffer?.status, "after_hours");
+    assert.deepEqual(session.transferOffer.alternatives, ["retry_later"]);
+    assert.notEqual(session[field], "Let me get an expert.", "the Script node shows the offer");
+    assert.ok(session[field]);
+
+    // The user's pick is taken on the next message
+    sent.delete(data);
+    data.message = "transfer_alternative:retry_later";
+    bot.on_user_message("request", data, () => {});
+    await settle();
+
+    assert.equal(session.transferOffer, undefined);
+    assert.equal(session.transferAlternative?.choice, "retry_later");
+    assert.deepEqual(sent.get(data), ["sendUserMessage"]);
+  });
+}
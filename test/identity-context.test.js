@@ -0,0 +1,65 @@
+// Identity headers for EasySystem calls (easysystem/identity-context.js).
+//
+//   node --test test/
+
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+
+const {
+  IDENTITY_HEADERS,
+  createIdentityContext,
+  signIdentity,
+} = require("../easysystem/identity-context");
+
+const NOW = Date.UTC(2026, 9, 18, 12, 0, 0);
+
+function turnData(customData = {}) {
+  return {
+    context: {
+      session: {
+        BotUserSession: { isLoggedIn: true, customData },
+        UserSession: {},
+      },
+    },
+  };
+}
+
+test("a bot without a signing secret fails to start", () => {
+  assert.throws(() => createIdentityContext({}), {
+    name: "TypeError",
+    message: /identitySigning\.secret is required/,
+  });
+  assert.throws(() => createIdentityContext({ secret: " " }), TypeError);
+});
+
+test("allowUnsigned sends the identity without a signature", (t) => {
+  t.mock.method(console, "warn", () => {});
+  const identity = createIdentityContext({ allowUnsigned: true, now: () => NOW });
+  const headers = identity.headers(turnData({ userid: "u1" }), "SA");
+
+  assert.equal(headers[IDENTITY_HEADERS.SIGNATURE], undefined);
+  assert.equal(headers[IDENTITY_HEADERS.TIMESTAMP], undefined);
+  assert.ok(
+    console.warn.mock.calls.some((call) => /allowUnsigned/.test(call.arguments[0])),
+    "the opt-out is logged"
+  );
+});
+
+test("with a secret the headers carry a signature EasySystem can check", (t) => {
+  t.mock.method(console, "warn", () => {});
+  const identity = createIdentityContext({ secret: "s3cret", keyId: "k1", now: () => NOW });
+  const headers = identity.headers(turnData({ userid: "u1", master: "m1" }), "SA");
+
+  const timestamp = String(NOW / 1000);
+  assert.equal(headers[IDENTITY_HEADERS.TIMESTAMP], timestamp);
+  assert.equal(headers[IDENTITY_HEADERS.KEY_ID], "k1");
+  assert.equal(
+    headers[IDENTITY_HEADERS.SIGNATURE],
+    signIdentity("s3cret", {
+      timestamp,
+      businessUnit: "SA",
+      loggedIn: headers[IDENTITY_HEADERS.LOGGED_IN],
+      customData: headers[IDENTITY_HEADERS.CUSTOM_DATA],
+    })
+  );
+});
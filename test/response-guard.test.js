@@ -0,0 +1,72 @@
+// Duplicate terminal calls are dropped, logged and still called back
+// (easysystem/response-guard.js).
+//
+//   node --test test/
+
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+
+const { createResponseGuard } = require("../easysystem/response-guard");
+
+function setup() {
+  const calls = [];
+  const warnings = [];
+  const sdk = {
+    sendUserMessage: (data, callback) => {
+      calls.push("sendUserMessage");
+      if (callback) callback(null, data);
+    },
+    sendBotMessage: (data, callback) => {
+      calls.push("sendBotMessage");
+      if (callback) callback(null, data);
+    },
+    respondToHook: () => calls.push("respondToHook"),
+  };
+  const guard = createResponseGuard({
+    botName: "test",
+    enhancedLogger: { warn: (event, details) => warnings.push({ event, details }) },
+  });
+  return { guard, guarded: guard.wrap(sdk), calls, warnings };
+}
+
+test("a second message in the turn is not sent but its callback runs", () => {
+  const { guard, guarded, calls, warnings } = setup();
+  const data = { context: {} };
+  guard.start(data);
+
+  guarded.sendUserMessage(data, () => {});
+  const callbacks = [];
+  guarded.sendBotMessage(data, (err, result) => callbacks.push([err, result]));
+
+  assert.deepEqual(calls, ["sendUserMessage"]);
+  assert.deepEqual(callbacks, [[null, data]]);
+  assert.equal(warnings.length, 1);
+  assert.equal(warnings[0].event, "DUPLICATE_RESPONSE_SUPPRESSED");
+  assert.equal(warnings[0].details.first, "sendUserMessage");
+  assert.deepEqual(guard.getStats(), { duplicatesSuppressed: 1, byMethod: { sendBotMessage: 1 } });
+});
+
+test("the message and the webhook of a turn are answered once each", () => {
+  const { guard, guarded, calls } = setup();
+  const data = { context: {} };
+  guard.start(data);
+
+  guarded.sendBotMessage(data, () => {});
+  guarded.respondToHook(data);
+  guarded.respondToHook(data);
+
+  assert.deepEqual(calls, ["sendBotMessage", "respondToHook"]);
+  assert.equal(guard.hasReplied(data), true);
+  assert.equal(guard.hasReplied(data, "webhook"), true);
+});
+
+test("a new turn on the same data object may answer again", () => {
+  const { guard, guarded, calls } = setup();
+  const data = { context: {} };
+  guard.start(data);
+  guarded.sendUserMessage(data);
+  guard.start(data);
+  guarded.sendUserMessage(data);
+
+  assert.deepEqual(calls, ["sendUserMessage", "sendUserMessage"]);
+});
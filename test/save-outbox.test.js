@@ -0,0 +1,81 @@
+// Save outbox files: one per bot instance and worker, kept across restarts,
+// deduplicated by idempotency key (easysystem/save-outbox.js).
+//
+//   node --test test/
+
+const { test, after } = require("node:test");
+const assert = require("node:assert/strict");
+const { spawnSync } = require("child_process");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+const { createSaveOutbox } = require("../easysystem/save-outbox");
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), "save-outbox-test-"));
+after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+const send = async () => {};
+const outbox = (name, extra = {}) =>
+  createSaveOutbox({ name, dir, send, flushIntervalMs: 0, ...extra });
+
+// The pid of a process that has already exited
+function deadPid() {
+  return spawnSync(process.execPath, ["-e", ""]).pid;
+}
+
+test("names the file after the instance, inside the configured directory", () => {
+  const { file } = outbox("es-name-bot").getStatus();
+  assert.equal(file, path.join(dir, "es-name-bot-save-outbox.json"));
+  assert.equal(fs.readFileSync(`${file}.lock`, "utf8"), String(process.pid));
+});
+
+test("a second outbox for the same instance takes the next slot", () => {
+  const first = outbox("es-slot-bot").getStatus().file;
+  const second = outbox("es-slot-bot").getStatus().file;
+  assert.notEqual(first, second);
+  assert.equal(second, path.join(dir, "es-slot-bot-save-outbox.1.json"));
+});
+
+test("a file locked by a live process is left alone", () => {
+  const file = path.join(dir, "es-live-bot-save-outbox.json");
+  fs.writeFileSync(`${file}.lock`, String(process.ppid));
+  assert.equal(outbox("es-live-bot").getStatus().file, path.join(dir, "es-live-bot-save-outbox.1.json"));
+});
+
+test("a restarted worker takes over a stale lock and replays what was left", async () => {
+  const file = path.join(dir, "es-restart-bot-save-outbox.json");
+  const left = { key: "k1", conversationId: "c1", correlationId: "r1", payload: { text: "hi" }, enqueuedAt: Date.now(), attempts: 0 };
+  fs.writeFileSync(file, JSON.stringify([left]));
+  fs.writeFileSync(`${file}.lock`, String(deadPid()));
+
+  const replayed = [];
+  const restarted = outbox("es-restart-bot", { send: async (entry) => replayed.push(entry.key) });
+  assert.equal(restarted.getStatus().file, file);
+  assert.equal(restarted.size(), 1);
+  await restarted.flush();
+  assert.deepEqual(replayed, ["k1"]);
+});
+
+test("the same save queues once; the same text in another turn queues again", () => {
+  const queue = outbox("es-dedupe-bot");
+  const payload = { externalConversationId: "c1", text: "yes" };
+  assert.equal(queue.enqueue(payload, "turn-1", "key-1"), true);
+  assert.equal(queue.enqueue(payload, "turn-1", "key-1"), false);
+  assert.equal(queue.has("key-1"), true);
+  assert.equal(queue.enqueue(payload, "turn-2", "key-2"), true);
+  assert.equal(queue.size(), 2);
+});
+
+test("saveOutbox.file from older configs only picks the directory", (t) => {
+  t.mock.method(console, "warn", () => {});
+  const { file } = outbox("es-legacy-bot", { dir: undefined, file: path.join(dir, "shared.json") }).getStatus();
+  assert.equal(file, path.join(dir, "es-legacy-bot-save-outbox.json"));
+  assert.equal(console.warn.mock.callCount(), 1);
+});
+
+test("an entry pruned on arrival is reported as not queued", () => {
+  const full = outbox("es-full-bot", { maxEntries: 0 });
+  assert.equal(full.enqueue({ externalConversationId: "c1", text: "hi" }, "turn-1", "key-1"), false);
+  assert.equal(full.has("key-1"), false);
+});
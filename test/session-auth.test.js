@@ -0,0 +1,160 @@
+// Session token verification (easysystem/session-auth.js) and the identity the
+// bots derive from it (identity-context.js, handoff.js).
+//
+//   node --test test/
+
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const crypto = require("crypto");
+
+const { ANONYMOUS, createSessionAuth } = require("../easysystem/session-auth");
+const { createIdentityContext, IDENTITY_HEADERS } = require("../easysystem/identity-context");
+const { createHandoffBuilder } = require("../easysystem/handoff");
+
+const NOW = Date.UTC(2026, 9, 18, 12, 0, 0);
+const AT = NOW / 1000;
+const AUDIENCE = "staples-sba-bot";
+const ISSUER = "https://login.example.test";
+
+const { privateKey, publicKey } = crypto.generateKeyPairSync("ec", { namedCurve: "P-256" });
+const keys = new Map([["k1", { kty: "EC", alg: "ES256", key: publicKey }]]);
+
+const encode = (value) => Buffer.from(JSON.stringify(value)).toString("base64url");
+
+function sign(claims, header = { alg: "ES256", kid: "k1" }) {
+  const input = `${encode(header)}.${encode(claims)}`;
+  const signature = crypto.sign("sha256", Buffer.from(input), { key: privateKey, dsaEncoding: "ieee-p1363" });
+  return `${input}.${signature.toString("base64url")}`;
+}
+
+const validClaims = (overrides = {}) => ({
+  sub: "user-1",
+  master: "acct-9",
+  role: "admin",
+  aud: AUDIENCE,
+  iss: ISSUER,
+  exp: AT + 300,
+  ...overrides,
+});
+
+const auth = createSessionAuth({
+  keys,
+  audience: AUDIENCE,
+  issuer: ISSUER,
+  clockToleranceSec: 60,
+  now: () => NOW,
+});
+
+function turnData(customData) {
+  return {
+    context: {
+      session: {
+        BotUserSession: { customData, isLoggedIn: true },
+        UserSession: { isLoggedIn: true },
+      },
+    },
+  };
+}
+
+const codeOf = (fn) => {
+  try {
+    fn();
+  } catch (err) {
+    return err.code;
+  }
+  return "VERIFIED";
+};
+
+test("a valid token verifies to its claims", () => {
+  const identity = auth.resolve(turnData({ sessionToken: sign(validClaims()) }));
+  assert.equal(identity.verified, true);
+  assert.equal(identity.loggedIn, true);
+  assert.equal(identity.USER_ID, "user-1");
+  assert.equal(identity.MASTER_ACCOUNT, "acct-9");
+  assert.equal(identity.ROLE, "admin");
+});
+
+test("exp: expired tokens and tokens without exp are rejected, within the clock tolerance", () => {
+  assert.equal(codeOf(() => auth.verifyToken(sign(validClaims({ exp: AT - 61 })))), "AUTH_TOKEN_EXPIRED");
+  assert.equal(codeOf(() => auth.verifyToken(sign(validClaims({ exp: undefined })))), "AUTH_TOKEN_EXPIRED");
+  assert.equal(codeOf(() => auth.verifyToken(sign(validClaims({ exp: AT - 30 })))), "VERIFIED");
+});
+
+test("nbf: tokens not valid yet are rejected, within the clock tolerance", () => {
+  assert.equal(codeOf(() => auth.verifyToken(sign(validClaims({ nbf: AT + 120 })))), "AUTH_TOKEN_NOT_YET_VALID");
+  assert.equal(codeOf(() => auth.verifyToken(sign(validClaims({ nbf: AT + 30 })))), "VERIFIED");
+});
+
+test("aud: tokens for another audience are rejected; an audience list must include ours", () => {
+  assert.equal(codeOf(() => auth.verifyToken(sign(validClaims({ aud: "other-app" })))), "AUTH_AUDIENCE_MISMATCH");
+  assert.equal(codeOf(() => auth.verifyToken(sign(validClaims({ aud: ["other-app", AUDIENCE] })))), "VERIFIED");
+});
+
+test("iss: tokens from another issuer are rejected", () => {
+  assert.equal(
+    codeOf(() => auth.verifyToken(sign(validClaims({ iss: "https://evil.example.test" })))),
+    "AUTH_ISSUER_MISMATCH"
+  );
+});
+
+test("alg: none, shared-secret and mismatched algorithms are rejected", () => {
+  const claims = validClaims();
+  const unsigned = `${encode({ alg: "none", kid: "k1" })}.${encode(claims)}.`;
+  assert.equal(codeOf(() => auth.verifyToken(unsigned)), "AUTH_ALG_UNSUPPORTED");
+
+  const hsInput = `${encode({ alg: "HS256", kid: "k1" })}.${encode(claims)}`;
+  const hs = crypto.createHmac("sha256", "guess").update(hsInput).digest("base64url");
+  assert.equal(codeOf(() => auth.verifyToken(`${hsInput}.${hs}`)), "AUTH_ALG_UNSUPPORTED");
+
+  // An RSA alg against our EC key
+  assert.equal(codeOf(() => auth.verifyToken(sign(claims, { alg: "RS256", kid: "k1" }))), "AUTH_KEY_UNKNOWN");
+});
+
+test("a tampered payload does not verify", () => {
+  const [header, , signature] = sign(validClaims()).split(".");
+  const forged = `${header}.${encode(validClaims({ sub: "someone-else" }))}.${signature}`;
+  assert.equal(codeOf(() => auth.verifyToken(forged)), "AUTH_SIGNATURE_INVALID");
+});
+
+test("a failing token resolves to anonymous with the reason, whatever the session flags say", () => {
+  const identity = auth.resolve(
+    turnData({ sessionToken: sign(validClaims({ exp: AT - 600 })), userid: "user-1" })
+  );
+  assert.deepEqual(identity, { ...ANONYMOUS, reason: "AUTH_TOKEN_EXPIRED" });
+});
+
+test("without sessionAuth every conversation is anonymous, customData notwithstanding", (t) => {
+  t.mock.method(console, "warn", () => {});
+  const identity = createIdentityContext({ secret: "s3cret", now: () => NOW });
+  const data = turnData({ userid: "user-1", master: "acct-9", role: "admin", loggedIn: true });
+
+  assert.deepEqual(identity.resolve(data), { ...ANONYMOUS, reason: "AUTH_NOT_CONFIGURED" });
+  identity.apply(data);
+  assert.equal(data.context.session.BotUserSession.isLoggedIn, false);
+  assert.equal(data.context.session.UserSession.isLoggedIn, false);
+
+  const headers = identity.headers(data, "SA");
+  assert.equal(headers[IDENTITY_HEADERS.LOGGED_IN], "false");
+  assert.deepEqual(JSON.parse(headers[IDENTITY_HEADERS.CUSTOM_DATA]), {
+    USER_ID: null,
+    MASTER_ACCOUNT: null,
+    ROLE: null,
+    AUTH: "anonymous",
+  });
+});
+
+test("the agent handoff carries the verified account ids, not customData's", () => {
+  const handoffs = createHandoffBuilder({ identityOf: (data) => auth.resolve(data) });
+  const build = (data) => handoffs.build(data, { reason: "API_ERROR", message: "m" }).entities;
+
+  const verified = build(turnData({ sessionToken: sign(validClaims()), userid: "spoofed" }));
+  assert.equal(verified.USER_ID, "user-1");
+  assert.equal(verified.MASTER_ACCOUNT, "acct-9");
+
+  const unverified = build(turnData({ userid: "spoofed", master: "spoofed" }));
+  assert.equal(unverified.USER_ID, null);
+  assert.equal(unverified.MASTER_ACCOUNT, null);
+
+  const noResolver = createHandoffBuilder().build(turnData({ userid: "spoofed" }), { reason: "API_ERROR" });
+  assert.equal(noResolver.entities.USER_ID, null);
+});
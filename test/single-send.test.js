@@ -0,0 +1,140 @@
+// Single-send invariant: every turn answers the platform once.
+// Each Dotcom webhook route and the EasySystem-owned user message are run
+// against a fake SDK with EasySystem replying normally, asking for a transfer
+// and failing; no turn may make more than one terminal call of a kind (see
+// easysystem/response-guard.js), and none may even try to.
+//
+// The Kore platform modules and axios are replaced with in-memory fakes
+// (test/support/fake-platform.js), so this runs without the bot kit:
+//
+//   node --test test/
+
+const { test, after } = require("node:test");
+const assert = require("node:assert/strict");
+const { TERMINAL_CALLS } = require("../easysystem/response-guard");
+const { installFakePlatform, settle } = require("./support/fake-platform");
+
+const platform = installFakePlatform({
+  stepUp: { secret: "test-step-up-secret", provider: "console" },
+});
+after(() => platform.restore());
+const { sent } = platform;
+const bot = require("../EasySystemDotcom");
+
+// ---- Helpers -------------------------------------------------------------------------------
+
+const SLOTS = {
+  orderNumber: "1234567",
+  zipCode: "02169",
+  orderNumberForChangeAddress: "1234567",
+  zipcodeForChangeAddress: "02169",
+  newAddressForChangeAddress: "1 Main St, Quincy MA 02169",
+  orderNumberForCancelOrder: "1234567",
+  zipcodeForCancelOrder: "02169",
+  orderNumberForCancelItem: "1234567",
+  zipcodeForCancelItem: "02169",
+  itemsForCancelItem: "2 staplers",
+  storeChoice: "1",
+  storeDay: "monday",
+};
+
+const SCENARIOS = {
+  reply: () => ({ status: 200, data: { text: "Your order has shipped." } }),
+  transfer: () => ({ status: 200, data: { text: "Let me get an expert.", transfer: true } }),
+  failure: () => {
+    const err = new Error("Request failed with status code 500");
+    err.response = { status: 500, data: {} };
+    throw err;
+  },
+};
+
+// Every Dotcom webhook route (EasySystemDotcom.js)
+const ROUTES = [
+  "easySystemHook",
+  "easySystemAddressChange",
+  "easySystemHookstore",
+  "selectStoreWebHook",
+  "storeHoursWebHook",
+  "resetPasswordWebHook",
+  "CheckReturnWebHook",
+  "ExchangeWebHook",
+  "RefundWebHook",
+  "CancelEntireOrderWebHook",
+  "CancelItemWebHook",
+];
+
+let conversations = 0;
+
+function turnData(message, owner = "kore") {
+  conversations += 1;
+  return {
+    message,
+    context: {
+      ...SLOTS,
+      session: {
+        BotUserSession: { businessUnit: "C", conversationSessionId: `single-send-${conversations}` },
+        UserSession: { owner },
+      },
+    },
+  };
+}
+
+function duplicatesSuppressed() {
+  return bot.getHealthStatus().then((status) => status.responses.duplicatesSuppressed);
+}
+
+// At most one call of each kind, and at least one call: the turn is answered.
+// A webhook turn may answer with a message alone (a prompt, a confirmation).
+function assertSingleSend(data, label, { webhook }) {
+  const calls = sent.get(data) || [];
+  const count = (kind) => calls.filter((method) => TERMINAL_CALLS[method] === kind).length;
+  assert.ok(calls.length > 0, `${label}: the turn was never answered`);
+  assert.ok(count("message") <= 1, `${label}: more than one message (${calls.join(", ")})`);
+  if (webhook) {
+    assert.ok(count("webhook") <= 1, `${label}: webhook answered ${count("webhook")} times`);
+  } else {
+    assert.equal(count("webhook"), 0, `${label}: a user message answered a webhook`);
+  }
+}
+
+// ---- Tests ---------------------------------------------------------------------------------
+
+for (const componentName of ROUTES) {
+  for (const [scenario, reply] of Object.entries(SCENARIOS)) {
+    test(`${componentName} sends once when EasySystem gives a ${scenario}`, async () => {
+      platform.easySystem(reply);
+      const before = await duplicatesSuppressed();
+
+      const data = turnData("hello");
+      bot.on_webhook("request", data, componentName, () => {});
+      await settle();
+      assertSingleSend(data, componentName, { webhook: true });
+
+      // Confirmed routes run their integration on the user's yes, a turn of its own
+      if (data.context.session.BotUserSession.pendingConfirmation) {
+        sent.delete(data);
+        data.message = "yes";
+        bot.on_user_message("request", data, () => {});
+        await settle();
+        assertSingleSend(data, `${componentName} (confirmed)`, { webhook: false });
+      }
+
+      assert.equal(await duplicatesSuppressed(), before, `${componentName}: a duplicate was attempted`);
+    });
+  }
+}
+
+for (const [scenario, reply] of Object.entries(SCENARIOS)) {
+  test(`EasySystem-owned user message sends once on a ${scenario}`, async () => {
+    platform.easySystem(reply);
+    const before = await duplicatesSuppressed();
+
+    const data = turnData("where is my order", "easysystem");
+    data.context.session.BotUserSession.ownershipState = "EASYSYSTEM_OWNED";
+    bot.on_user_message("request", data, () => {});
+    await settle();
+
+    assertSingleSend(data, "on_user_message", { webhook: false });
+    assert.equal(await duplicatesSuppressed(), before, "on_user_message: a duplicate was attempted");
+  });
+}
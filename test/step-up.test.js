@@ -0,0 +1,232 @@
+// One-time code step-up (easysystem/step-up.js): lockout per verified user,
+// kept across restarts; code expiry; the code kept only as an HMAC; and the
+// code redacted to "[one-time code]" wherever the bot records the message.
+//
+//   node --test test/
+
+const { test, after } = require("node:test");
+const assert = require("node:assert/strict");
+const crypto = require("crypto");
+const fs = require("fs");
+const path = require("path");
+
+const { OUTCOMES, createStepUp } = require("../easysystem/step-up");
+const { installFakePlatform, settle } = require("./support/fake-platform");
+
+const platform = installFakePlatform({
+  identitySigning: { secret: "test-secret" },
+  stepUp: { secret: "test-step-up-secret", provider: "file" },
+});
+after(() => platform.restore());
+
+const START = Date.UTC(2026, 9, 18, 12, 0, 0);
+const SECRET = "s3cret";
+
+// ---- The verifier ----------------------------------------------------------------------------
+
+function setup(options = {}) {
+  const clock = { at: START };
+  const codes = [];
+  const stepUp = createStepUp({
+    secret: SECRET,
+    name: "es-test-bot",
+    dir: path.join(platform.dir, "unit"),
+    provider: { send: ({ code }) => codes.push(code) },
+    now: () => clock.at,
+    ...options,
+  });
+  return { clock, codes, stepUp };
+}
+
+function sessionData(message = "") {
+  return { message, context: { session: { BotUserSession: {} } } };
+}
+
+async function challenge(stepUp, data, subject = "user-1") {
+  await stepUp.challenge(data, { subject, conversationId: "c1", componentName: "ResetHook" });
+}
+
+function reply(stepUp, data, message) {
+  data.message = message;
+  return stepUp.answer(data);
+}
+
+const wrongCode = (code) => String((Number(code) + 1) % 1000000).padStart(6, "0");
+
+test("the right code within its TTL verifies the subject", async () => {
+  const { codes, stepUp } = setup();
+  const data = sessionData();
+  await challenge(stepUp, data);
+
+  const { outcome } = reply(stepUp, data, codes[0].replace(/(\d{3})/, "$1 "));
+  assert.equal(outcome, OUTCOMES.VERIFIED);
+  assert.equal(stepUp.isVerified(data, "user-1"), true);
+  assert.equal(stepUp.isVerified(data, "user-2"), false);
+});
+
+test("expiry: a code entered after codeTtlSeconds does not verify", async () => {
+  const { clock, codes, stepUp } = setup({ codeTtlSeconds: 300 });
+  const data = sessionData();
+  await challenge(stepUp, data);
+
+  clock.at += 300 * 1000;
+  assert.equal(reply(stepUp, data, codes[0]).outcome, OUTCOMES.EXPIRED);
+  assert.equal(data.context.session.BotUserSession.stepUpChallenge, undefined);
+});
+
+test("the session keeps neither the code nor an unkeyed hash of it", async () => {
+  const { codes, stepUp } = setup();
+  const data = sessionData();
+  await challenge(stepUp, data);
+
+  const stored = data.context.session.BotUserSession.stepUpChallenge;
+  const json = JSON.stringify(stored);
+  assert.ok(!json.includes(codes[0]));
+  for (const guess of [codes[0], `${stored.id}:${codes[0]}`, `code:${stored.id}:${codes[0]}`]) {
+    assert.ok(!json.includes(crypto.createHash("sha256").update(guess).digest("hex")));
+  }
+  assert.equal(stored.salt, undefined);
+});
+
+test("lockout: maxAttempts wrong codes lock the user across conversations until lockoutSeconds pass", async () => {
+  const { clock, codes, stepUp } = setup({ maxAttempts: 3, lockoutSeconds: 900 });
+
+  // Each wrong code in a fresh conversation, as a user dodging a per-conversation count would
+  const outcomes = [];
+  for (let i = 0; i < 3; i++) {
+    const data = sessionData();
+    await challenge(stepUp, data);
+    outcomes.push(reply(stepUp, data, wrongCode(codes[i])).outcome);
+  }
+  assert.deepEqual(outcomes, [OUTCOMES.INVALID, OUTCOMES.INVALID, OUTCOMES.LOCKED]);
+
+  await assert.rejects(challenge(stepUp, sessionData()), { code: "STEP_UP_LOCKED" });
+  await challenge(stepUp, sessionData(), "user-2"); // someone else is not affected
+
+  clock.at += 900 * 1000;
+  assert.equal(stepUp.lockedUntil("user-1"), null);
+  await challenge(stepUp, sessionData());
+});
+
+test("lockout: the count survives a restart and is shared by every worker of the bot", async () => {
+  const dir = path.join(platform.dir, "restart");
+  const first = setup({ dir, maxAttempts: 2 });
+  const data = sessionData();
+  await challenge(first.stepUp, data);
+  reply(first.stepUp, data, wrongCode(first.codes[0]));
+
+  // A restarted (or second) worker picks up the same count
+  const second = setup({ dir, maxAttempts: 2 });
+  const again = sessionData();
+  await challenge(second.stepUp, again);
+  assert.equal(reply(second.stepUp, again, wrongCode(second.codes[0])).outcome, OUTCOMES.LOCKED);
+  assert.ok(first.stepUp.lockedUntil("user-1"));
+
+  // Subjects are stored under their HMAC, not as plain user ids
+  const files = fs.readdirSync(path.join(dir, "es-test-bot"));
+  assert.equal(files.length, 1);
+  assert.ok(!files[0].includes("user-1"));
+});
+
+test("a step-up without a server secret is a configuration error", () => {
+  assert.throws(() => setup({ secret: undefined }), { name: "TypeError", message: /stepUp\.secret/ });
+});
+
+// ---- In a bot ---------------------------------------------------------------------------------
+
+const { privateKey, publicKey } = crypto.generateKeyPairSync("ec", { namedCurve: "P-256" });
+const jwksFile = path.join(platform.dir, "jwks.json");
+fs.writeFileSync(
+  jwksFile,
+  JSON.stringify({ keys: [{ ...publicKey.export({ format: "jwk" }), kid: "k1", alg: "ES256", use: "sig" }] })
+);
+const codesFile = path.join(platform.dir, "step-up-codes.log");
+Object.assign(platform.botConfig, {
+  sessionAuth: { jwksFile, audience: "staples-sba-bot" },
+  stepUp: { ...platform.botConfig.stepUp, file: codesFile },
+});
+
+const encode = (value) => Buffer.from(JSON.stringify(value)).toString("base64url");
+
+function sessionToken(sub) {
+  const input = `${encode({ alg: "ES256", kid: "k1" })}.${encode({
+    sub,
+    master: "acct-9",
+    role: "admin",
+    aud: "staples-sba-bot",
+    exp: Math.floor(Date.now() / 1000) + 600,
+  })}`;
+  const signature = crypto.sign("sha256", Buffer.from(input), { key: privateKey, dsaEncoding: "ieee-p1363" });
+  return `${input}.${signature.toString("base64url")}`;
+}
+
+let conversations = 0;
+
+function turnData(customData) {
+  conversations += 1;
+  return {
+    message: "reset my password",
+    context: {
+      session: {
+        BotUserSession: {
+          businessUnit: "SA",
+          conversationSessionId: `step-up-${conversations}`,
+          customData,
+        },
+        UserSession: {},
+      },
+    },
+  };
+}
+
+function lastCode() {
+  const lines = fs.readFileSync(codesFile, "utf8").trim().split("\n");
+  return JSON.parse(lines[lines.length - 1]).code;
+}
+
+const bot = require("../EasySystemSBA");
+
+test("a code the user types reaches neither EasySystem nor the transcript", async () => {
+  const data = turnData({ sessionToken: sessionToken("user-7") });
+  bot.on_webhook("request", data, "ResetHook", () => {});
+  await settle();
+  const session = data.context.session.BotUserSession;
+  assert.ok(session.stepUpChallenge, "the route asked for a code");
+  assert.equal(session.stepUpChallenge.subject, "user-7");
+
+  const code = lastCode();
+  platform.posts.length = 0;
+  platform.easySystem(() => ({ status: 200, data: { text: "Your password was reset." } }));
+  data.message = code;
+  bot.on_user_message("request", data, () => {});
+  await settle();
+
+  assert.equal(session.stepUp?.subject, "user-7", "the user is verified");
+  const saved = platform.posts.filter(({ url }) => url.endsWith("/save"));
+  assert.ok(saved.some(({ body }) => JSON.stringify(body).includes("[one-time code]")));
+  assert.ok(platform.posts.some(({ url }) => url.endsWith("/send")), "the route ran");
+  for (const { url, body } of platform.posts) {
+    assert.ok(!JSON.stringify(body).includes(code), `the code reached ${url}`);
+  }
+  assert.ok(!JSON.stringify(session.recentTurns).includes(code), "the code is in the handoff transcript");
+});
+
+test("an anonymous caller is asked to sign in instead of being sent a code", async () => {
+  const data = turnData({ userid: "user-7" });
+  bot.on_webhook("request", data, "ResetHook", () => {});
+  await settle();
+
+  assert.equal(data.context.session.BotUserSession.stepUpChallenge, undefined);
+  assert.match(data.message, /sign in/i);
+});
+
+test("a bot with step-up routes and no step-up configured fails to start", () => {
+  const { stepUp } = platform.botConfig;
+  delete platform.botConfig.stepUp;
+  delete require.cache[require.resolve("../EasySystemSBA")];
+  try {
+    assert.throws(() => require("../EasySystemSBA"), { name: "TypeError", message: /need step-up/ });
+  } finally {
+    platform.botConfig.stepUp = stepUp;
+  }
+});
@@ -0,0 +1,122 @@
+// In-memory stand-ins for the Kore platform modules (../lib/config, ../lib/sdk,
+// ../lib/logger) and axios, so the bots load without the bot kit. Install
+// before requiring a bot; each test file runs in its own process.
+
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const Module = require("module");
+
+/**
+ * Installs the fakes. botConfig is merged into every bot's config when the bot
+ * is created; the save outbox and step-up state go to a temporary directory.
+ *
+ * Returns:
+ *   dir             - the temporary directory
+ *   botConfig       - the object passed in, to change before creating another bot
+ *   sent            - WeakMap data -> terminal sdk calls, in order
+ *   posts           - every axios post as { url, body }, in order
+ *   easySystem(fn)  - sets what EasySystem's send API answers (a response or a throw)
+ *   restore()       - uninstalls the fakes and removes the temporary directory
+ */
+function installFakePlatform(botConfig = {}) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "fake-platform-"));
+
+  const fakeConfig = {
+    getBotConfig(botName) {
+      return {
+        botIds: [`st-${botName}`],
+        httpClient: { maxRetries: 0 },
+        saveOutbox: { dir, flushIntervalMs: 0 },
+        // Every scenario should reach EasySystem, not the open breaker
+        circuitBreakers: { default: { failureThreshold: 1000 } },
+        ...botConfig,
+        ...(botConfig.stepUp ? { stepUp: { dir, ...botConfig.stepUp } } : {}),
+      };
+    },
+    getBotUrls() {
+      return {
+        sendMessage: "http://easysystem.test/send",
+        saveMessage: "http://easysystem.test/save",
+        contextLoad: "http://easysystem.test/context",
+      };
+    },
+  };
+
+  const sent = new WeakMap();
+  const record = (data, method) => {
+    if (!sent.has(data)) sent.set(data, []);
+    sent.get(data).push(method);
+  };
+
+  class AsyncResponse {}
+
+  const fakeSdk = {
+    AsyncResponse,
+    sendUserMessage: (data, callback) => {
+      record(data, "sendUserMessage");
+      if (callback) callback(null, data);
+    },
+    sendBotMessage: (data, callback) => {
+      record(data, "sendBotMessage");
+      if (callback) callback(null, data);
+    },
+    sendWebhookResponse: (data, callback) => {
+      record(data, "sendWebhookResponse");
+      if (callback) callback(null, data);
+    },
+    respondToHook: (data) => record(data, "respondToHook"),
+  };
+
+  const quiet = () => {};
+  const fakeLogger = { info: quiet, warn: quiet, error: quiet, debug: quiet };
+
+  // Context loads and saves always succeed
+  let answer = () => ({ status: 200, data: { text: "ok" } });
+  const posts = [];
+  const fakeAxios = {
+    post: async (url, body) => {
+      posts.push({ url, body });
+      if (!url.endsWith("/send")) return { status: 200, data: {} };
+      return answer();
+    },
+    get: async () => ({ status: 200, data: {} }),
+  };
+
+  const loadModule = Module._load;
+  Module._load = function (request, parent, isMain) {
+    if (request === "axios") return fakeAxios;
+    if (request === "../lib/config") return fakeConfig;
+    if (request === "../lib/sdk") return fakeSdk;
+    if (request === "../lib/logger") return fakeLogger;
+    return loadModule.call(this, request, parent, isMain);
+  };
+
+  // The bots log every turn; keep the test output to the results
+  const { log, warn } = console;
+  console.log = quiet;
+  console.warn = quiet;
+
+  return {
+    dir,
+    botConfig,
+    sent,
+    posts,
+    easySystem: (fn) => {
+      answer = fn;
+    },
+    restore() {
+      Module._load = loadModule;
+      console.log = log;
+      console.warn = warn;
+      fs.rmSync(dir, { recursive: true, force: true });
+    },
+  };
+}
+
+// Lets the ACK, context load, send and delivery of an async route run out
+async function settle() {
+  for (let i = 0; i < 5; i++) await new Promise((resolve) => setTimeout(resolve, 10));
+}
+
+module.exports = { installFakePlatform, settle };